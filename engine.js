@@ -0,0 +1,2145 @@
+/**
+ * Three-in-a-Row Game - Rules Engine
+ * Swap validation, match finding, power-ups, cascades, scoring and win/lose.
+ * No canvas, DOM or audio: loaded before game.js in the browser and
+ * usable from Node with require('./engine.js')
+ */
+
+// Special (power-up) gem types (Feature #20, Feature #26) - behaviour lives in SPECIAL_GEMS
+const POWERUP_TYPES = {
+    NONE: 'none',
+    BOMB: 'bomb',       // Clears 3x3 area around it
+    COLOR_CLEAR: 'color', // Clears all gems of one color
+    LINE: 'line',       // Clears its whole row and column (the old BLOCK gem)
+    FREEZE: 'freeze',   // Adds 10 seconds
+    SHIELD: 'shield'    // Next move doesn't cost a move
+};
+
+// Shapes a match can take: one straight run, or same-colored runs that meet
+const MATCH_SHAPES = {
+    STRAIGHT: 'straight',
+    L: 'L',             // Runs meet at an end of both
+    T: 'T',             // One run ends in the middle of the other
+    CROSS: 'cross'      // Runs cross through each other's middle
+};
+
+// Weakest to strongest, used when a match has several intersections
+const SHAPE_RANK = [MATCH_SHAPES.STRAIGHT, MATCH_SHAPES.L, MATCH_SHAPES.T, MATCH_SHAPES.CROSS];
+
+// Power-up configuration
+const POWERUP_CONFIG = {
+    bombRadius: 1,      // 1 = 3x3 area (clears center + 8 surrounding)
+    scoreMultiplier: 2,  // Score modifier for a move that set off a power-up
+    creationMatchSize: 4, // Minimum match size to create a power-up
+    freezeSeconds: 10   // Time added by a freeze gem
+};
+
+// Scoring rules (Feature #19: combo multiplier, Feature #29: cascade scoring)
+// Match points follow the plan's 3/4/5+ table (100/200/500) scaled by 0.3.
+// Every cascade step scores at its own multiplier, so a move is often worth
+// thousands of points; level targets and stars are set for that
+const SCORE_CONFIG = {
+    matchPoints: { 3: 30, 4: 60, 5: 150 }, // Points per match by gem count (5 = 5 or more)
+    pointsPerGem: 10,       // Base points per gem cleared by a power-up
+    powerUpBonusPerGem: 5,  // Extra points per gem cleared by a power-up
+    comboStep: 0.5,         // Multiplier gained per cascade step / combo level: x1, x1.5, x2, ...
+    maxCombo: 10,           // Maximum combo level
+    matchTimeBonus: 1,      // Seconds added for a successful match
+    powerUpTimeBonus: 2     // Seconds added for a power-up move without a match
+};
+
+// Score modifier sources, in the order they apply (Feature #30)
+const MODIFIER_ORDER = ['powerUp', 'combo', 'event', 'shop'];
+
+// Result of MatchEngine.evaluateOutcome (values match GAME_STATE in game.js)
+const OUTCOME = {
+    WON: 'won',
+    LOST: 'lost'
+};
+
+// Events emitted by MatchEngine.playMove, in the order they happened
+const ENGINE_EVENTS = {
+    SWAP: 'swap',            // { gem1, gem2 } swapped places
+    SWAP_BACK: 'swapBack',   // { gem1, gem2 } swapped back (no match)
+    ACTIVATE: 'activate',    // { gem, powerUpType, gems, chain } power-up went off (chain: set off by a clear)
+    COMBINE: 'combine',      // { combo, gem1, gem2, gems, converted, convertTo } two specials swapped together
+    CLEAR: 'clear',          // { gems, step } gems removed from the board
+    CREATE: 'create',        // { gem } power-up gem placed on the board
+    FALL: 'fall',            // { falls: [{ gem, fromRow, toRow }] }
+    SPAWN: 'spawn',          // { spawns: [{ gem, row, col }] } new gems from above
+    COLLECT: 'collect',      // { gems } drop items taken off the bottom row
+    BREAK: 'break',          // { hits: [{ row, col, blocker, strength }] } blockers worn down; strength is what's left
+    RESHUFFLE: 'reshuffle'   // { moves: [{ gem, fromRow, fromCol }] } dead or runaway board rearranged
+};
+
+// Shuffles tried before a dead board is recolored instead (and recolors after that)
+const MAX_RESHUFFLE_ATTEMPTS = 50;
+
+// Random boards tried before a level's shape and colors are given up on
+const MAX_BOARD_ATTEMPTS = 1000;
+
+// Random colors tried for a cell before the colors that fit are listed
+const MAX_GEM_PICKS = 20;
+
+// Cascade steps one move resolves before a runaway chain is cut short with a reshuffle
+const MAX_CASCADE_STEPS = 50;
+
+// Feature #51: Drop items - a gem type that never matches and can't be blasted;
+// it leaves the board (and counts for 'drop' objectives) when it reaches the bottom row
+const DROP_ITEM = 'item';
+const DROP_ITEM_CONFIG = {
+    maxOnBoard: 2,      // Items on the board at once; the rest arrive with refills
+    spawnChance: 0.1    // Chance per refilled top-row gem of being a waiting item
+};
+
+// Feature #52: Blockers - layers kept per cell in MatchEngine.layers, each with a strength
+const BLOCKER_TYPES = {
+    ICE: 'ice',         // Under a gem; clears on or next to the cell break it
+    STONE: 'stone',     // Fills the cell instead of a gem; clears next to it break it
+    CHAIN: 'chain'      // On a gem: it still matches but can't be swapped or fall; a clear breaks a link instead
+};
+
+const BLOCKER_CONFIG = {
+    maxStrength: 3      // Clears a blocker can take
+};
+
+// Layers of a cell with no blockers
+const NO_LAYERS = Object.freeze({ ice: 0, stone: 0, chain: 0 });
+
+/**
+ * Seeded random number generator (mulberry32)
+ * The same seed always produces the same sequence, so boards, refills and
+ * rewards can be reproduced from a seed
+ */
+class SeededRandom {
+    constructor(seed = createSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Next float in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Next integer in [0, max)
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Pick an item from an array of objects with a `weight` property
+     */
+    pickWeighted(items) {
+        const totalWeight = items.reduce((sum, item) => sum + item.weight, 0);
+        let random = this.next() * totalWeight;
+
+        for (const item of items) {
+            random -= item.weight;
+            if (random <= 0) {
+                return item;
+            }
+        }
+        return items[0];
+    }
+
+    /**
+     * Pick a uniformly random item from an array
+     */
+    pick(items) {
+        return items[this.nextInt(items.length)];
+    }
+
+    /**
+     * Shuffle an array in place (Fisher-Yates) and return it
+     */
+    shuffle(items) {
+        for (let i = items.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [items[i], items[j]] = [items[j], items[i]];
+        }
+        return items;
+    }
+}
+
+// Create a fresh 32-bit seed (the only place Math.random feeds gameplay)
+function createSeed() {
+    return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Derive a stable sub-seed (e.g. per level) from a base seed
+function deriveSeed(baseSeed, salt) {
+    let h = (baseSeed ^ Math.imul(salt + 1, 0x9E3779B1)) >>> 0;
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
+
+// Score multiplier for a combo level: x1, x1.5, x2, x2.5, ...
+function comboMultiplier(comboCount) {
+    return 1 + (Math.max(comboCount, 1) - 1) * SCORE_CONFIG.comboStep;
+}
+
+/**
+ * Feature #30: Apply a stack of score modifiers [{ source, icon, label, multiplier }] to a move's points
+ * Modifiers run in MODIFIER_ORDER, each scaling the running total (rounded down)
+ * Returns { points, applied } - applied lists each modifier with the total after it
+ */
+function applyScoreModifiers(points, modifiers) {
+    const ordered = modifiers
+        .filter(modifier => modifier.multiplier !== 1)
+        .sort((a, b) => MODIFIER_ORDER.indexOf(a.source) - MODIFIER_ORDER.indexOf(b.source));
+
+    const applied = [];
+    let total = points;
+    for (const modifier of ordered) {
+        total = Math.floor(total * modifier.multiplier);
+        applied.push(Object.assign({ total: total }, modifier));
+    }
+    return { points: total, applied: applied };
+}
+
+/**
+ * Special gem registry (Feature #26) - one entry per POWERUP_TYPES value
+ * Each entry says how the special is created, what it does and how it looks:
+ *   createdBy(group)     - does this match group earn it? (checked by priority, highest first)
+ *   spawnRate            - chance a refilled gem arrives as this special
+ *   activate(engine, gem) - { gems, timeBonus, shields } when it is swapped
+ *   icon/glowColor/borderColor - drawing hints; game.js adds canvas draw hooks
+ */
+const SPECIAL_GEMS = {};
+
+// Add or replace a special gem definition
+function registerSpecialGem(definition) {
+    SPECIAL_GEMS[definition.id] = Object.assign({
+        name: definition.id,
+        icon: '',
+        glowColor: '#ffffff',
+        borderColor: '#ffffff',
+        statKey: null,          // AchievementManager.stats.powerUpsUsed key
+        priority: 0,
+        createdBy: null,
+        spawnRate: 0,
+        activate: (engine, gem) => ({ gems: [gem] })
+    }, definition);
+    return SPECIAL_GEMS[definition.id];
+}
+
+registerSpecialGem({
+    id: POWERUP_TYPES.COLOR_CLEAR,
+    name: 'Color Clear',
+    icon: '🎨',
+    glowColor: '#9b59b6',
+    borderColor: '#9b59b6',
+    statKey: 'colorClear',
+    priority: 3,
+    createdBy: group => group.length >= 5,
+    activate: (engine, gem) => ({ gems: engine.getGemsOfColor(gem.type) })
+});
+
+registerSpecialGem({
+    id: POWERUP_TYPES.LINE,
+    name: 'Line Blast',
+    icon: '➕',
+    glowColor: '#1abc9c',
+    borderColor: '#1abc9c',
+    priority: 2,
+    createdBy: group => group.shape !== MATCH_SHAPES.STRAIGHT,
+    activate: (engine, gem) => ({ gems: engine.getGemsInLines(gem.row, gem.col) })
+});
+
+registerSpecialGem({
+    id: POWERUP_TYPES.BOMB,
+    name: 'Bomb',
+    icon: '💣',
+    glowColor: '#e74c3c',
+    borderColor: '#e74c3c',
+    statKey: 'bomb',
+    priority: 1,
+    createdBy: group => group.length >= POWERUP_CONFIG.creationMatchSize,
+    activate: (engine, gem) => ({ gems: engine.getGemsInArea(gem.row, gem.col, POWERUP_CONFIG.bombRadius) })
+});
+
+registerSpecialGem({
+    id: POWERUP_TYPES.FREEZE,
+    name: 'Freeze',
+    icon: '❄️',
+    glowColor: '#74b9ff',
+    borderColor: '#74b9ff',
+    spawnRate: 0.01,
+    activate: (engine, gem) => ({ gems: [gem], timeBonus: POWERUP_CONFIG.freezeSeconds })
+});
+
+registerSpecialGem({
+    id: POWERUP_TYPES.SHIELD,
+    name: 'Shield',
+    icon: '🛡️',
+    glowColor: '#f1c40f',
+    borderColor: '#f1c40f',
+    spawnRate: 0.005,
+    activate: (engine, gem) => ({ gems: [gem], shields: 1 })
+});
+
+/**
+ * Special combo registry (Feature #27) - what happens when two specials are swapped into each other
+ *   specials        - the two POWERUP_TYPES, in either order
+ *   scoreMultiplier - applied to the power-up bonus for every gem the combo clears
+ *   activate(engine, gem1, gem2) - { gems, converted, convertTo }; gem1 is where the player dropped
+ * Pairs with no entry (e.g. freeze + bomb) just go off one after the other
+ */
+const SPECIAL_COMBOS = {};
+
+// Registry key for a pair of specials, independent of order
+function specialComboKey(type1, type2) {
+    return [type1, type2].sort().join('+');
+}
+
+// Add or replace a special combo definition
+function registerSpecialCombo(definition) {
+    const combo = Object.assign({ name: definition.id, icon: '✨', scoreMultiplier: 2 }, definition);
+    SPECIAL_COMBOS[combo.id] = combo;
+    return combo;
+}
+
+// Color clear + another special: every gem of that special's color turns into it and goes off
+function convertColorTo(engine, gem1, gem2) {
+    const colorGem = gem1.powerUpType === POWERUP_TYPES.COLOR_CLEAR ? gem1 : gem2;
+    const otherGem = colorGem === gem1 ? gem2 : gem1;
+    const convertTo = otherGem.powerUpType;
+    const converted = engine.getGemsOfColor(otherGem.type)
+        .filter(gem => gem.powerUpType === POWERUP_TYPES.NONE);
+
+    const gems = new Set([gem1, gem2]);
+    for (const gem of converted) {
+        gem.powerUpType = convertTo;
+        engine.activatePowerUp(gem).gems.forEach(target => gems.add(target));
+    }
+    return { gems: [...gems], converted: converted, convertTo: convertTo };
+}
+
+registerSpecialCombo({
+    id: 'megaBomb',
+    name: 'Mega Bomb',
+    icon: '💥',
+    specials: [POWERUP_TYPES.BOMB, POWERUP_TYPES.BOMB],
+    scoreMultiplier: 2,
+    activate: (engine, gem1) => ({ gems: engine.getGemsInArea(gem1.row, gem1.col, POWERUP_CONFIG.bombRadius + 1) })
+});
+
+registerSpecialCombo({
+    id: 'bigCross',
+    name: 'Big Cross',
+    icon: '✚',
+    specials: [POWERUP_TYPES.LINE, POWERUP_TYPES.BOMB],
+    scoreMultiplier: 2,
+    activate: (engine, gem1) => {
+        // Three rows and three columns through the drop point
+        const gems = new Set();
+        for (let offset = -1; offset <= 1; offset++) {
+            engine.getGemsInLines(gem1.row + offset, gem1.col + offset).forEach(gem => gems.add(gem));
+        }
+        return { gems: [...gems] };
+    }
+});
+
+registerSpecialCombo({
+    id: 'doubleLine',
+    name: 'Double Line',
+    icon: '➕',
+    specials: [POWERUP_TYPES.LINE, POWERUP_TYPES.LINE],
+    scoreMultiplier: 1.5,
+    activate: (engine, gem1, gem2) => ({
+        gems: [...new Set([...engine.getGemsInLines(gem1.row, gem1.col), ...engine.getGemsInLines(gem2.row, gem2.col)])]
+    })
+});
+
+registerSpecialCombo({
+    id: 'bombStorm',
+    name: 'Bomb Storm',
+    icon: '💣',
+    specials: [POWERUP_TYPES.COLOR_CLEAR, POWERUP_TYPES.BOMB],
+    scoreMultiplier: 2.5,
+    activate: convertColorTo
+});
+
+registerSpecialCombo({
+    id: 'lineStorm',
+    name: 'Line Storm',
+    icon: '⚡',
+    specials: [POWERUP_TYPES.COLOR_CLEAR, POWERUP_TYPES.LINE],
+    scoreMultiplier: 2.5,
+    activate: convertColorTo
+});
+
+registerSpecialCombo({
+    id: 'boardWipe',
+    name: 'Board Wipe',
+    icon: '🌈',
+    specials: [POWERUP_TYPES.COLOR_CLEAR, POWERUP_TYPES.COLOR_CLEAR],
+    scoreMultiplier: 3,
+    activate: (engine) => ({ gems: engine.grid.flat().filter(gem => gem) })
+});
+
+/**
+ * MatchEngine Class - The board and every rule that changes it
+ * Gems are plain objects { type, powerUpType, row, col }; subclasses may add
+ * fields (the canvas front end adds x/y/alpha/scale) by overriding createGem
+ */
+class MatchEngine {
+    constructor(rows, cols, colorCount = 4) {
+        this.rows = rows;
+        this.cols = cols;
+        this.colorCount = colorCount;
+        this.grid = [];
+        this.seed = null;
+        this.rng = new SeededRandom();
+        // [{ type, weight }] when a level limits or weights colors; null = all colors, equally likely
+        this.colorWeights = null;
+        // Chance per refilled gem of arriving as each special; levels and events may override
+        this.specialSpawnRates = {};
+        for (const special of Object.values(SPECIAL_GEMS)) {
+            if (special.spawnRate > 0) {
+                this.specialSpawnRates[special.id] = special.spawnRate;
+            }
+        }
+        // Feature #51: Drop items still to come onto the board
+        this.dropItemsLeft = 0;
+        // Feature #52: layers[row][col] = { ice, stone, chain } strengths; [] when the level has no blockers
+        this.layers = [];
+        // Feature #53: holes[row][col] = true where the board has no cell; [] for a full rectangle
+        this.holes = [];
+    }
+
+    /**
+     * Initialize the grid with random gems, ensuring no initial matches
+     * and at least one valid move
+     * The seed drives this board and every refill after it
+     */
+    initialize(seed = createSeed()) {
+        this.seed = seed >>> 0;
+        this.rng = new SeededRandom(this.seed);
+
+        for (let attempt = 0; attempt < MAX_BOARD_ATTEMPTS; attempt++) {
+            if (this.fillGrid() && this.hasValidMoves()) return;
+        }
+        throw new Error(`No playable ${this.rows}x${this.cols} board in ${MAX_BOARD_ATTEMPTS} tries - check the colors and mask`);
+    }
+
+    /**
+     * One random fill with no matches; false if a cell had no color left
+     */
+    fillGrid() {
+        this.grid = [];
+        for (let row = 0; row < this.rows; row++) {
+            this.grid[row] = [];
+            for (let col = 0; col < this.cols; col++) {
+                this.grid[row][col] = null;
+                if (this.isSolid(row, col)) continue;
+
+                const gemType = this.pickGemType(row, col);
+                if (gemType === null) return false;
+                this.grid[row][col] = this.createGem(row, col, gemType);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * A random gem type that doesn't complete a match at (row, col), or null
+     * if none does - random picks first, then one of the colors that fit
+     */
+    pickGemType(row, col) {
+        for (let attempt = 0; attempt < MAX_GEM_PICKS; attempt++) {
+            const gemType = this.getRandomGemType();
+            if (!this.wouldCreateMatch(row, col, gemType)) return gemType;
+        }
+
+        const types = this.colorWeights
+            ? this.colorWeights.map(({ type }) => type)
+            : Array.from({ length: this.colorCount }, (_, type) => type);
+        const fits = types.filter(type => !this.wouldCreateMatch(row, col, type));
+        return fits.length > 0 ? this.rng.pick(fits) : null;
+    }
+
+    /**
+     * Create a gem object at the specified position
+     */
+    createGem(row, col, type, powerUpType = POWERUP_TYPES.NONE) {
+        return {
+            type: type,
+            powerUpType: powerUpType,
+            row: row,
+            col: col
+        };
+    }
+
+    /**
+     * Get a random gem type (0-3 representing 4 colors) from the seeded RNG
+     * A level's colorWeights narrow or bias the pick
+     */
+    getRandomGemType() {
+        if (this.colorWeights) {
+            return this.rng.pickWeighted(this.colorWeights).type;
+        }
+        return this.rng.nextInt(this.colorCount);
+    }
+
+    /**
+     * Feature #49: Set the board up from a validated level (see validateLevel)
+     * A fixed layout is used as is; otherwise the seed makes a random board
+     * from the level's colors. Starting specials go on last.
+     */
+    loadLevel(level, seed = createSeed()) {
+        this.rows = level.rows;
+        this.cols = level.cols;
+
+        const uniform = !level.spawnWeights && level.colors.length === this.colorCount;
+        this.colorWeights = uniform ? null : level.colors.map((type, i) => ({
+            type: type,
+            weight: level.spawnWeights ? level.spawnWeights[i] : 1
+        }));
+
+        this.specialSpawnRates = {};
+        for (const special of Object.values(SPECIAL_GEMS)) {
+            if (special.spawnRate > 0) {
+                this.specialSpawnRates[special.id] = special.spawnRate;
+            }
+        }
+        Object.assign(this.specialSpawnRates, level.specialSpawnRates);
+        this.setMask(level.mask);
+        this.setBlockers(level.blockers);
+
+        if (level.layout) {
+            this.seed = seed >>> 0;
+            this.rng = new SeededRandom(this.seed);
+            this.grid = level.layout.map((line, row) =>
+                [...line].map((cell, col) => this.isSolid(row, col) ? null : this.createGem(row, col, Number(cell))));
+        } else {
+            this.initialize(seed);
+        }
+
+        for (const special of level.specials) {
+            this.placeSpecial(special.row, special.col, special.type);
+        }
+
+        // Feature #51: The first drop items start at the spawners
+        this.dropItemsLeft = level.objectives
+            .filter(objective => objective.type === 'drop')
+            .reduce((total, objective) => total + objective.target, 0);
+        if (this.dropItemsLeft > 0) {
+            this.placeDropItems();
+        }
+    }
+
+    /**
+     * Feature #52: Lay blockers ([{ row, col, type, strength }]) onto fresh layers
+     */
+    setBlockers(blockers) {
+        this.layers = [];
+        if (blockers.length === 0) return;
+
+        for (let row = 0; row < this.rows; row++) {
+            this.layers[row] = [];
+            for (let col = 0; col < this.cols; col++) {
+                this.layers[row][col] = Object.assign({}, NO_LAYERS);
+            }
+        }
+        for (const blocker of blockers) {
+            this.layers[blocker.row][blocker.col][blocker.type] = blocker.strength;
+        }
+    }
+
+    getLayers(row, col) {
+        return (this.layers[row] && this.layers[row][col]) || NO_LAYERS;
+    }
+
+    /**
+     * Feature #53: Shape the board from a level mask ('#' cell, '.' hole; null = full)
+     */
+    setMask(mask) {
+        this.holes = mask && mask.some(line => line.includes('.'))
+            ? mask.map(line => [...line].map(cell => cell === '.'))
+            : [];
+    }
+
+    isHole(row, col) {
+        return Boolean(this.holes[row] && this.holes[row][col]);
+    }
+
+    // Holes and stone cells hold no gem
+    isSolid(row, col) {
+        return this.isHole(row, col) || this.getLayers(row, col).stone > 0;
+    }
+
+    // Holes, stones and chained gems never move: no swaps, no falling, no reshuffling
+    isFixed(row, col) {
+        return this.isSolid(row, col) || this.getLayers(row, col).chain > 0;
+    }
+
+    /**
+     * Feature #53: A column's spawner - its top cell that isn't a hole (-1 if none)
+     */
+    getSpawnRow(col) {
+        for (let row = 0; row < this.rows; row++) {
+            if (!this.isHole(row, col)) return row;
+        }
+        return -1;
+    }
+
+    /**
+     * Whether the board's shape allows a move at all: three cells in a line that
+     * can take gems, with a fourth next to them to swap in. Random boards retry
+     * until they have a move, so shapes without room would never finish.
+     */
+    hasRoomForMove() {
+        const open = (row, col) => row >= 0 && row < this.rows && col >= 0 && col < this.cols && !this.isFixed(row, col);
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                for (const [dRow, dCol] of [[0, 1], [1, 0]]) {
+                    const line = [0, 1, 2].map(i => [row + dRow * i, col + dCol * i]);
+                    if (!line.every(([r, c]) => open(r, c))) continue;
+
+                    // Past either end, or beside any cell of the line
+                    const neighbours = [[row - dRow, col - dCol], [row + dRow * 3, col + dCol * 3]];
+                    for (const [r, c] of line) {
+                        neighbours.push([r + dCol, c + dRow], [r - dCol, c - dRow]);
+                    }
+                    if (neighbours.some(([r, c]) => open(r, c))) return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Blockers left on the board, one per layer still standing
+     */
+    countBlockers() {
+        return this.layers.flat().reduce((total, layers) =>
+            total + Object.values(BLOCKER_TYPES).filter(type => layers[type] > 0).length, 0);
+    }
+
+    /**
+     * Feature #51: Turn plain gems at the spawners into waiting drop items, up to
+     * DROP_ITEM_CONFIG.maxOnBoard, then make sure the board still has a move
+     */
+    placeDropItems() {
+        const spawnerGems = [];
+        for (let col = 0; col < this.cols; col++) {
+            const row = this.getSpawnRow(col);
+            if (row !== -1) spawnerGems.push(this.grid[row][col]);
+        }
+        const plainGems = spawnerGems.filter(gem => gem && gem.powerUpType === POWERUP_TYPES.NONE && !this.isFixed(gem.row, gem.col));
+        const count = Math.min(this.dropItemsLeft, DROP_ITEM_CONFIG.maxOnBoard, plainGems.length);
+
+        for (const gem of this.rng.shuffle(plainGems).slice(0, count)) {
+            gem.type = DROP_ITEM;
+            this.dropItemsLeft--;
+        }
+        if (!this.hasValidMoves()) {
+            this.reshuffle();
+        }
+    }
+
+    /**
+     * Drop items on the board right now
+     */
+    countDropItems() {
+        return this.grid.flat().filter(gem => gem && gem.type === DROP_ITEM).length;
+    }
+
+    /**
+     * Check if placing a gem at (row, col) would create a match
+     */
+    wouldCreateMatch(row, col, gemType) {
+        // Drop items never match, however they line up
+        if (gemType === DROP_ITEM) {
+            return false;
+        }
+
+        // Stones leave empty cells, which never match
+        const sameType = (r, c) => {
+            const gem = this.grid[r][c];
+            return gem !== null && gem.type === gemType;
+        };
+
+        // Check horizontal (left)
+        if (col >= 2 && sameType(row, col - 1) && sameType(row, col - 2)) {
+            return true;
+        }
+
+        // Check vertical (up)
+        if (row >= 2 && sameType(row - 1, col) && sameType(row - 2, col)) {
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Get gem at specific grid position
+     */
+    getGem(row, col) {
+        if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+            return this.grid[row][col];
+        }
+        return null;
+    }
+
+    /**
+     * Get the grid data (for external use)
+     */
+    getGrid() {
+        return this.grid;
+    }
+
+    /**
+     * Check if grid has any matches
+     */
+    hasMatches() {
+        return this.findRuns().length > 0;
+    }
+
+    /**
+     * Find every straight run of 3+ same-colored gems (drop items never count)
+     * Returns [{ gems, direction, length, color }], gems ordered left-to-right or top-to-bottom
+     */
+    findRuns() {
+        const runs = [];
+
+        // Find horizontal runs
+        for (let row = 0; row < this.rows; row++) {
+            let matchStart = 0;
+            let matchLength = 1;
+
+            for (let col = 1; col <= this.cols; col++) {
+                const currentGem = this.grid[row][col];
+                const prevGem = this.grid[row][col - 1];
+
+                if (col < this.cols && currentGem && prevGem && currentGem.type === prevGem.type && currentGem.type !== DROP_ITEM) {
+                    matchLength++;
+                } else {
+                    // End of run, check if we have a match
+                    if (matchLength >= 3) {
+                        const gems = this.grid[row].slice(matchStart, matchStart + matchLength);
+                        runs.push({ gems: gems, direction: 'horizontal', length: matchLength, color: gems[0].type });
+                    }
+                    matchStart = col;
+                    matchLength = 1;
+                }
+            }
+        }
+
+        // Find vertical runs
+        for (let col = 0; col < this.cols; col++) {
+            let matchStart = 0;
+            let matchLength = 1;
+
+            for (let row = 1; row <= this.rows; row++) {
+                const currentGem = this.grid[row] ? this.grid[row][col] : null;
+                const prevGem = this.grid[row - 1] ? this.grid[row - 1][col] : null;
+
+                if (row < this.rows && currentGem && prevGem && currentGem.type === prevGem.type && currentGem.type !== DROP_ITEM) {
+                    matchLength++;
+                } else {
+                    // End of run, check if we have a match
+                    if (matchLength >= 3) {
+                        const gems = [];
+                        for (let i = 0; i < matchLength; i++) {
+                            gems.push(this.grid[matchStart + i][col]);
+                        }
+                        runs.push({ gems: gems, direction: 'vertical', length: matchLength, color: gems[0].type });
+                    }
+                    matchStart = row;
+                    matchLength = 1;
+                }
+            }
+        }
+
+        return runs;
+    }
+
+    /**
+     * Find matches, merging runs that share a gem into one shaped match
+     * Returns [{ gems, color, length, shape, center, runs }] where length is the
+     * longest run and center is where a power-up would be created
+     */
+    findMatchGroups() {
+        const groups = [];
+
+        for (const run of this.findRuns()) {
+            const group = { runs: [run], gems: [...run.gems] };
+
+            // Absorb every group this run touches (runs sharing a gem share a color)
+            for (const other of groups.filter(g => run.gems.some(gem => g.gems.includes(gem)))) {
+                group.runs.push(...other.runs);
+                group.gems.push(...other.gems.filter(gem => !group.gems.includes(gem)));
+                groups.splice(groups.indexOf(other), 1);
+            }
+            groups.push(group);
+        }
+
+        return groups.map(group => this.describeMatchGroup(group.runs, group.gems));
+    }
+
+    /**
+     * Classify a set of connected runs as STRAIGHT, L, T or CROSS
+     */
+    describeMatchGroup(runs, gems) {
+        const firstRun = runs[0];
+        let shape = MATCH_SHAPES.STRAIGHT;
+        let center = firstRun.gems[Math.floor(firstRun.length / 2)];
+
+        for (const horizontal of runs.filter(run => run.direction === 'horizontal')) {
+            for (const vertical of runs.filter(run => run.direction === 'vertical')) {
+                const shared = horizontal.gems.find(gem => vertical.gems.includes(gem));
+                if (!shared) continue;
+
+                const atHorizontalEnd = shared === horizontal.gems[0] || shared === horizontal.gems[horizontal.length - 1];
+                const atVerticalEnd = shared === vertical.gems[0] || shared === vertical.gems[vertical.length - 1];
+                let meetShape = MATCH_SHAPES.CROSS;
+                if (atHorizontalEnd && atVerticalEnd) {
+                    meetShape = MATCH_SHAPES.L;
+                } else if (atHorizontalEnd || atVerticalEnd) {
+                    meetShape = MATCH_SHAPES.T;
+                }
+
+                if (SHAPE_RANK.indexOf(meetShape) > SHAPE_RANK.indexOf(shape)) {
+                    shape = meetShape;
+                    center = shared;
+                }
+            }
+        }
+
+        return {
+            gems: gems,
+            color: firstRun.color,
+            length: Math.max(...runs.map(run => run.length)),
+            shape: shape,
+            center: center,
+            runs: runs
+        };
+    }
+
+    /**
+     * Find all matched gems, one entry per gem
+     * Returns [{ gem, matchType, direction, shape, group }] - matchType is the
+     * longest run in the gem's match and group the whole shaped match
+     */
+    findMatches() {
+        const matches = [];
+
+        for (const group of this.findMatchGroups()) {
+            for (const gem of group.gems) {
+                const run = group.runs.find(r => r.gems.includes(gem));
+                matches.push({
+                    gem: gem,
+                    matchType: group.length,
+                    direction: run.direction,
+                    shape: group.shape,
+                    group: group
+                });
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Get unique matched gems from findMatches result
+     */
+    getMatchedGems(matches = this.findMatches()) {
+        const uniqueGems = [];
+        const seen = new Set();
+
+        for (const match of matches) {
+            if (!seen.has(match.gem)) {
+                seen.add(match.gem);
+                uniqueGems.push(match.gem);
+            }
+        }
+
+        return uniqueGems;
+    }
+
+    /**
+     * Check whether two gems are orthogonal neighbours
+     */
+    areAdjacent(gem1, gem2) {
+        const rowDiff = Math.abs(gem1.row - gem2.row);
+        const colDiff = Math.abs(gem1.col - gem2.col);
+        return (rowDiff === 1 && colDiff === 0) || (rowDiff === 0 && colDiff === 1);
+    }
+
+    /**
+     * Swap two gems in the grid, keeping their row/col in sync
+     */
+    swapCells(gem1, gem2) {
+        const row1 = gem1.row;
+        const col1 = gem1.col;
+
+        this.grid[gem2.row][gem2.col] = gem1;
+        this.grid[row1][col1] = gem2;
+        gem1.row = gem2.row;
+        gem1.col = gem2.col;
+        gem2.row = row1;
+        gem2.col = col1;
+    }
+
+    /**
+     * A swap is valid when it makes a match or moves a power-up
+     */
+    isValidSwap(row1, col1, row2, col2) {
+        const gem1 = this.getGem(row1, col1);
+        const gem2 = this.getGem(row2, col2);
+        if (!gem1 || !gem2 || !this.areAdjacent(gem1, gem2) || this.isFixed(row1, col1) || this.isFixed(row2, col2)) {
+            return false;
+        }
+        if (gem1.powerUpType !== POWERUP_TYPES.NONE || gem2.powerUpType !== POWERUP_TYPES.NONE) {
+            return true;
+        }
+
+        this.swapCells(gem1, gem2);
+        const hasMatch = this.hasMatches();
+        this.swapCells(gem1, gem2);
+        return hasMatch;
+    }
+
+    /**
+     * Find the first valid swap, as { row1, col1, row2, col2 }, or null
+     */
+    findValidSwap() {
+        return this.getValidSwaps(1)[0] || null;
+    }
+
+    /**
+     * List valid swaps as { row1, col1, row2, col2 }
+     * Only right and down neighbours are tried, so each pair appears once
+     */
+    getValidSwaps(limit = Infinity) {
+        const swaps = [];
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                for (const [dRow, dCol] of [[0, 1], [1, 0]]) {
+                    if (this.isValidSwap(row, col, row + dRow, col + dCol)) {
+                        swaps.push({ row1: row, col1: col, row2: row + dRow, col2: col + dCol });
+                        if (swaps.length >= limit) {
+                            return swaps;
+                        }
+                    }
+                }
+            }
+        }
+
+        return swaps;
+    }
+
+    /**
+     * Check if the player has any move left
+     */
+    hasValidMoves() {
+        return this.findValidSwap() !== null;
+    }
+
+    /**
+     * Rearrange a dead board so it has no matches and at least one valid move
+     * The same gem objects (power-ups included) are moved, never replaced, and
+     * fixed cells stay put; returns where each one came from as [{ gem, fromRow, fromCol }]
+     * Tries are capped: a board with no room for a move keeps its last try
+     */
+    reshuffle() {
+        const gems = this.grid.flat().filter(gem => gem && !this.isFixed(gem.row, gem.col));
+        const moves = gems.map(gem => ({ gem: gem, fromRow: gem.row, fromCol: gem.col }));
+
+        for (let attempt = 0; attempt < MAX_RESHUFFLE_ATTEMPTS; attempt++) {
+            if (this.placeGems(this.rng.shuffle([...gems]), false) && !this.hasMatches() && this.hasValidMoves()) {
+                return moves;
+            }
+        }
+
+        // These colors can't be arranged into a playable board - recolor plain gems too
+        for (let attempt = 0; attempt < MAX_RESHUFFLE_ATTEMPTS; attempt++) {
+            if (this.placeGems(this.rng.shuffle([...gems]), true) && !this.hasMatches() && this.hasValidMoves()) {
+                break;
+            }
+        }
+
+        return moves;
+    }
+
+    /**
+     * Lay gems out row by row, taking the first one that doesn't complete a match
+     * With recolor, plain gems get a fresh color instead; returns false if stuck
+     * either way
+     */
+    placeGems(pool, recolor) {
+        // Fixed cells (stones, chained gems) keep what they hold
+        this.grid = this.grid.map((line, row) => line.map((gem, col) => this.isFixed(row, col) ? gem : null));
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.isFixed(row, col)) continue;
+
+                let index = pool.findIndex(gem => !this.wouldCreateMatch(row, col, gem.type));
+                if (index === -1) {
+                    if (!recolor) return false;
+                    index = 0;
+                }
+
+                const gem = pool.splice(index, 1)[0];
+                if (recolor && gem.powerUpType === POWERUP_TYPES.NONE && gem.type !== DROP_ITEM) {
+                    const gemType = this.pickGemType(row, col);
+                    if (gemType === null) return false;
+                    gem.type = gemType;
+                }
+                gem.row = row;
+                gem.col = col;
+                this.grid[row][col] = gem;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Determine what power-up a match group earns (highest-priority special whose rule fits)
+     */
+    getPowerUpForMatch(group) {
+        const specials = Object.values(SPECIAL_GEMS)
+            .filter(special => special.createdBy)
+            .sort((a, b) => b.priority - a.priority);
+
+        for (const special of specials) {
+            if (special.createdBy(group)) {
+                return special.id;
+            }
+        }
+
+        return POWERUP_TYPES.NONE;
+    }
+
+    /**
+     * Work out which power-ups a set of matches earns
+     * Returns [{ row, col, type, powerUpType }], one per match group: at the
+     * intersection of a shaped match or the center of a straight one
+     */
+    processPowerUpCreation(matches) {
+        const powerUpGems = [];
+        const groups = [...new Set(matches.map(match => match.group))];
+
+        for (const group of groups) {
+            const powerUpType = this.getPowerUpForMatch(group);
+
+            if (powerUpType !== POWERUP_TYPES.NONE) {
+                powerUpGems.push({
+                    row: group.center.row,
+                    col: group.center.col,
+                    type: group.color,
+                    powerUpType: powerUpType
+                });
+            }
+        }
+
+        return powerUpGems;
+    }
+
+    /**
+     * Run a special gem's activation from the registry
+     * Returns { gems, timeBonus, shields } - gems to clear (including itself)
+     */
+    activatePowerUp(gem) {
+        const special = SPECIAL_GEMS[gem.powerUpType];
+        if (!special) {
+            return { gems: [], timeBonus: 0, shields: 0 };
+        }
+
+        return Object.assign({ gems: [], timeBonus: 0, shields: 0 }, special.activate(this, gem));
+    }
+
+    /**
+     * Look up the combo for two swapped specials, or null
+     */
+    findSpecialCombo(gem1, gem2) {
+        const key = specialComboKey(gem1.powerUpType, gem2.powerUpType);
+        return Object.values(SPECIAL_COMBOS).find(combo => specialComboKey(...combo.specials) === key) || null;
+    }
+
+    /**
+     * Run a special combo; returns { gems, converted, convertTo }
+     */
+    activateSpecialCombo(combo, gem1, gem2) {
+        return Object.assign({ gems: [], converted: [], convertTo: POWERUP_TYPES.NONE }, combo.activate(this, gem1, gem2));
+    }
+
+    /**
+     * Gems in the square of the given radius around a cell
+     */
+    getGemsInArea(centerRow, centerCol, radius) {
+        const gems = [];
+        for (let row = centerRow - radius; row <= centerRow + radius; row++) {
+            for (let col = centerCol - radius; col <= centerCol + radius; col++) {
+                const gem = this.getGem(row, col);
+                if (gem) gems.push(gem);
+            }
+        }
+        return gems;
+    }
+
+    /**
+     * Gems in a cell's whole row and column
+     */
+    getGemsInLines(row, col) {
+        const gems = [];
+        for (let r = 0; r < this.rows; r++) {
+            const gem = this.getGem(r, col);
+            if (gem) gems.push(gem);
+        }
+        for (let c = 0; c < this.cols; c++) {
+            const gem = this.getGem(row, c);
+            if (gem && c !== col) gems.push(gem);
+        }
+        return gems;
+    }
+
+    /**
+     * All gems of one color
+     */
+    getGemsOfColor(type) {
+        return this.grid.flat().filter(gem => gem && gem.type === type);
+    }
+
+    /**
+     * Turn the gem at (row, col) into a special; returns the gem or null
+     */
+    placeSpecial(row, col, powerUpType) {
+        const gem = this.getGem(row, col);
+        if (!gem || !SPECIAL_GEMS[powerUpType]) {
+            return null;
+        }
+        gem.powerUpType = powerUpType;
+        return gem;
+    }
+
+    /**
+     * Turn a random plain gem into a special (shop items, events, level setup)
+     */
+    placeRandomSpecial(powerUpType) {
+        const plainGems = this.grid.flat().filter(gem => gem && gem.powerUpType === POWERUP_TYPES.NONE && gem.type !== DROP_ITEM);
+        if (plainGems.length === 0) {
+            return null;
+        }
+        const gem = this.rng.pick(plainGems);
+        return this.placeSpecial(gem.row, gem.col, powerUpType);
+    }
+
+    /**
+     * Roll which special, if any, a refilled gem arrives as
+     */
+    rollSpawnedSpecial() {
+        const rates = Object.entries(this.specialSpawnRates).filter(([, rate]) => rate > 0);
+        if (rates.length === 0) {
+            return POWERUP_TYPES.NONE;
+        }
+
+        let roll = this.rng.next();
+        for (const [powerUpType, rate] of rates) {
+            roll -= rate;
+            if (roll < 0) {
+                return powerUpType;
+            }
+        }
+        return POWERUP_TYPES.NONE;
+    }
+
+    /**
+     * Remove gems from the grid (set to null)
+     * Returns the number of gems removed
+     */
+    removeGems(gems) {
+        let removedCount = 0;
+
+        for (const gem of gems) {
+            if (this.grid[gem.row] && this.grid[gem.row][gem.col] === gem) {
+                this.grid[gem.row][gem.col] = null;
+                removedCount++;
+            }
+        }
+
+        return removedCount;
+    }
+
+    /**
+     * Drop gems down to fill empty spaces
+     * Feature #52/#53: Fixed cells (holes, stones, chained gems) stay where they
+     * are and gems fall past them
+     * Returns [{ gem, fromRow, toRow }] for every gem that moved
+     */
+    dropGems() {
+        const falls = [];
+
+        // Process each column
+        for (let col = 0; col < this.cols; col++) {
+            // Cells a gem can settle in, bottom first
+            const slots = [];
+            for (let row = this.rows - 1; row >= 0; row--) {
+                if (!this.isFixed(row, col)) slots.push(row);
+            }
+
+            // Gems keep their order and settle into the lowest slots
+            const gems = slots.map(row => this.grid[row][col]).filter(gem => gem !== null);
+            slots.forEach((row, i) => {
+                const gem = gems[i] || null;
+                this.grid[row][col] = gem;
+                if (gem && gem.row !== row) {
+                    falls.push({ gem, fromRow: gem.row, toRow: row });
+                    gem.row = row;
+                }
+            });
+        }
+
+        return falls;
+    }
+
+    /**
+     * The lowest cell a gem can fall to in its column (drop items are collected there)
+     */
+    isLowestSlot(row, col) {
+        for (let below = row + 1; below < this.rows; below++) {
+            if (!this.isFixed(below, col)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * Refill the grid with new random gems in empty spaces
+     * Feature #51: Waiting drop items may arrive at a column's spawner (Feature #53)
+     * Returns [{ gem, row, col }] for every new gem
+     */
+    refillGrid() {
+        const spawns = [];
+        let itemsOnBoard = this.dropItemsLeft > 0 ? this.countDropItems() : 0;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                if (this.grid[row][col] === null && !this.isSolid(row, col)) {
+                    let gem;
+                    if (row === this.getSpawnRow(col) && this.dropItemsLeft > 0 && itemsOnBoard < DROP_ITEM_CONFIG.maxOnBoard &&
+                        this.rng.next() < DROP_ITEM_CONFIG.spawnChance) {
+                        gem = this.createGem(row, col, DROP_ITEM);
+                        this.dropItemsLeft--;
+                        itemsOnBoard++;
+                    } else {
+                        gem = this.createGem(row, col, this.getRandomGemType(), this.rollSpawnedSpecial());
+                    }
+                    this.grid[row][col] = gem;
+                    spawns.push({ gem, row, col });
+                }
+            }
+        }
+
+        return spawns;
+    }
+
+    /**
+     * Feature #28: Chain reactions - set off every special caught in a clear
+     * that hasn't gone off yet, and whatever those catch in turn
+     * Grows gemsToClear in place and tallies into the move { detonated, detonations, timeBonus, shields }
+     */
+    triggerChainReactions(gemsToClear, move, events) {
+        const queue = gemsToClear.filter(gem => gem.powerUpType !== POWERUP_TYPES.NONE);
+
+        while (queue.length > 0) {
+            const gem = queue.shift();
+            if (move.detonated.has(gem)) continue;
+            move.detonated.add(gem);
+
+            const effect = this.activatePowerUp(gem);
+            events.push({ type: ENGINE_EVENTS.ACTIVATE, gem: gem, powerUpType: gem.powerUpType, gems: effect.gems, chain: true });
+            move.detonations++;
+            move.timeBonus += effect.timeBonus;
+            move.shields += effect.shields;
+
+            for (const target of effect.gems) {
+                if (!gemsToClear.includes(target)) {
+                    gemsToClear.push(target);
+                    if (target.powerUpType !== POWERUP_TYPES.NONE) {
+                        queue.push(target);
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Feature #52: Wear blockers down with one step's clears, each at most once per step
+     * A chained gem loses a link instead of clearing (it is taken out of gemsToClear);
+     * ice on or next to a cleared gem and stone next to one lose a layer
+     */
+    hitBlockers(gemsToClear, move, events) {
+        if (this.layers.length === 0) return;
+
+        const hits = [];
+        const hit = (row, col, blocker) => {
+            const layers = this.layers[row][col];
+            layers[blocker]--;
+            hits.push({ row: row, col: col, blocker: blocker, strength: layers[blocker] });
+            if (layers[blocker] === 0) {
+                move.blockersCleared++;
+            }
+        };
+
+        const chained = gemsToClear.filter(gem => this.getLayers(gem.row, gem.col).chain > 0);
+        for (const gem of chained) {
+            gemsToClear.splice(gemsToClear.indexOf(gem), 1);
+            hit(gem.row, gem.col, BLOCKER_TYPES.CHAIN);
+            // A chained special that went off is spent
+            if (move.detonated.has(gem)) {
+                gem.powerUpType = POWERUP_TYPES.NONE;
+            }
+        }
+
+        const touched = new Set();
+        for (const gem of [...gemsToClear, ...chained]) {
+            for (const [dRow, dCol] of [[0, 0], [-1, 0], [1, 0], [0, -1], [0, 1]]) {
+                const row = gem.row + dRow;
+                const col = gem.col + dCol;
+                if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
+                    touched.add(row * this.cols + col);
+                }
+            }
+        }
+        for (const cell of touched) {
+            const row = Math.floor(cell / this.cols);
+            const col = cell % this.cols;
+            const layers = this.layers[row][col];
+            if (layers.ice > 0) hit(row, col, BLOCKER_TYPES.ICE);
+            if (layers.stone > 0) hit(row, col, BLOCKER_TYPES.STONE);
+        }
+
+        if (hits.length > 0) {
+            events.push({ type: ENGINE_EVENTS.BREAK, hits: hits });
+        }
+    }
+
+    /**
+     * Feature #29: Score one clear step into the move's itemized breakdown
+     * Each match earns its size's points, gems cleared by power-ups earn points plus
+     * the power-up bonus, and everything is scaled by the step's cascade multiplier
+     * Returns the step's points
+     */
+    scoreStep(step, matches, gemsToClear, bonusMultiplier, breakdown) {
+        const multiplier = comboMultiplier(Math.min(step + 1, SCORE_CONFIG.maxCombo));
+        const matchedGems = new Set(matches.map(match => match.gem));
+        const items = [];
+
+        for (const group of new Set(matches.map(match => match.group))) {
+            const size = group.gems.length;
+            const label = group.shape === MATCH_SHAPES.STRAIGHT ? `Match ${size}` : `${group.shape}-shape (${size})`;
+            items.push({ label: label, base: SCORE_CONFIG.matchPoints[Math.min(size, 5)] });
+        }
+
+        const blasted = gemsToClear.filter(gem => !matchedGems.has(gem)).length;
+        if (blasted > 0) {
+            const perGem = SCORE_CONFIG.pointsPerGem + SCORE_CONFIG.powerUpBonusPerGem * bonusMultiplier;
+            items.push({ label: `Power-ups (${blasted} gems)`, base: Math.floor(blasted * perGem) });
+        }
+
+        let points = 0;
+        for (const item of items) {
+            const itemPoints = Math.floor(item.base * multiplier);
+            breakdown.push({ step: step, label: item.label, base: item.base, multiplier: multiplier, points: itemPoints });
+            points += itemPoints;
+        }
+        return points;
+    }
+
+    /**
+     * Clear one step worth of gems, place earned power-ups, then drop and refill
+     * Specials caught in the clear go off first (see triggerChainReactions)
+     * Pushes the step's events, scores it into the move and returns the number of gems cleared
+     */
+    resolveStep(gemsToClear, matches, step, events, move) {
+        this.triggerChainReactions(gemsToClear, move, events);
+        // Feature #51: Blasts pass over drop items - they only leave through the bottom row
+        for (let i = gemsToClear.length - 1; i >= 0; i--) {
+            if (gemsToClear[i].type === DROP_ITEM) {
+                gemsToClear.splice(i, 1);
+            }
+        }
+        this.hitBlockers(gemsToClear, move, events);
+        move.score += this.scoreStep(step, matches, gemsToClear, step === 0 ? move.bonusMultiplier : 1, move.breakdown);
+
+        events.push({ type: ENGINE_EVENTS.CLEAR, gems: gemsToClear, step: step });
+        const removed = this.removeGems(gemsToClear);
+
+        for (const pu of this.processPowerUpCreation(matches)) {
+            if (this.grid[pu.row][pu.col] === null) {
+                const gem = this.createGem(pu.row, pu.col, pu.type, pu.powerUpType);
+                this.grid[pu.row][pu.col] = gem;
+                events.push({ type: ENGINE_EVENTS.CREATE, gem: gem });
+            }
+        }
+
+        const falls = this.dropGems();
+        if (falls.length > 0) {
+            events.push({ type: ENGINE_EVENTS.FALL, falls: falls });
+        }
+
+        const spawns = this.refillGrid();
+        if (spawns.length > 0) {
+            events.push({ type: ENGINE_EVENTS.SPAWN, spawns: spawns });
+        }
+
+        return removed;
+    }
+
+    /**
+     * Feature #51: Take drop items off the bottom row, then drop and refill
+     * Repeats while another item lands there; returns how many were collected
+     */
+    collectDropItems(events) {
+        let collected = 0;
+        const findItems = () => this.grid.flat().filter(gem => gem && gem.type === DROP_ITEM && this.isLowestSlot(gem.row, gem.col));
+        let items = findItems();
+
+        while (items.length > 0) {
+            events.push({ type: ENGINE_EVENTS.COLLECT, gems: items });
+            collected += this.removeGems(items);
+
+            const falls = this.dropGems();
+            if (falls.length > 0) {
+                events.push({ type: ENGINE_EVENTS.FALL, falls: falls });
+            }
+            const spawns = this.refillGrid();
+            if (spawns.length > 0) {
+                events.push({ type: ENGINE_EVENTS.SPAWN, spawns: spawns });
+            }
+            items = findItems();
+        }
+
+        return collected;
+    }
+
+    /**
+     * Play one move to completion: swap, power-ups, clears, cascades and scoring
+     * Returns { valid, events, gemsCleared, cascadeCleared, scoreGained, breakdown, movesUsed,
+     *           timeBonus, combo, shieldsGained, specialCombo, chainReactions, itemsCollected,
+     *           blockersCleared, reshuffled }
+     * breakdown itemizes scoreGained: [{ step, label, base, multiplier, points }]
+     * scoreGained is before modifiers; the move's own ones are in modifiers (see applyResult)
+     */
+    playMove(row1, col1, row2, col2) {
+        const result = {
+            valid: false,
+            events: [],
+            gemsCleared: 0,
+            cascadeCleared: 0,
+            scoreGained: 0,
+            breakdown: [],
+            modifiers: [],
+            movesUsed: 0,
+            timeBonus: 0,
+            combo: 0,
+            shieldsGained: 0,
+            specialCombo: null,
+            chainReactions: 0,
+            itemsCollected: 0,
+            blockersCleared: 0,
+            reshuffled: false
+        };
+
+        const gem1 = this.getGem(row1, col1);
+        const gem2 = this.getGem(row2, col2);
+        if (!gem1 || !gem2 || !this.areAdjacent(gem1, gem2) || this.isFixed(row1, col1) || this.isFixed(row2, col2)) {
+            return result;
+        }
+
+        const events = result.events;
+        // Running totals for the move: specials that already went off, score and bonuses
+        const move = {
+            detonated: new Set(),
+            detonations: 0,
+            timeBonus: 0,
+            shields: 0,
+            bonusMultiplier: 1,     // Power-up bonus multiplier for the first step (special combos)
+            blockersCleared: 0,
+            score: 0,
+            breakdown: result.breakdown
+        };
+        this.swapCells(gem1, gem2);
+        events.push({ type: ENGINE_EVENTS.SWAP, gem1: gem1, gem2: gem2 });
+
+        // Feature #20: Swapped power-ups go off - Feature #27: two at once may combine
+        const powerUpGemsToClear = [];
+        const combo = this.findSpecialCombo(gem1, gem2);
+        if (combo) {
+            const effect = this.activateSpecialCombo(combo, gem1, gem2);
+            events.push({
+                type: ENGINE_EVENTS.COMBINE,
+                combo: combo.id,
+                gem1: gem1,
+                gem2: gem2,
+                gems: effect.gems,
+                converted: effect.converted,
+                convertTo: effect.convertTo
+            });
+            powerUpGemsToClear.push(...effect.gems);
+            [gem1, gem2, ...effect.converted].forEach(gem => move.detonated.add(gem));
+            move.bonusMultiplier = combo.scoreMultiplier;
+            result.specialCombo = combo.id;
+        } else {
+            for (const gem of [gem1, gem2]) {
+                if (gem.powerUpType !== POWERUP_TYPES.NONE) {
+                    const effect = this.activatePowerUp(gem);
+                    move.detonated.add(gem);
+                    events.push({ type: ENGINE_EVENTS.ACTIVATE, gem: gem, powerUpType: gem.powerUpType, gems: effect.gems, chain: false });
+                    move.timeBonus += effect.timeBonus;
+                    move.shields += effect.shields;
+                    for (const target of effect.gems) {
+                        if (!powerUpGemsToClear.includes(target)) {
+                            powerUpGemsToClear.push(target);
+                        }
+                    }
+                }
+            }
+        }
+
+        const matches = this.findMatches();
+        if (matches.length === 0 && powerUpGemsToClear.length === 0) {
+            // No match - swap back
+            this.swapCells(gem1, gem2);
+            events.push({ type: ENGINE_EVENTS.SWAP_BACK, gem1: gem1, gem2: gem2 });
+            return result;
+        }
+
+        result.valid = true;
+        result.movesUsed = 1;
+
+        // First step: power-up blasts plus the swap's own matches
+        const allGemsToClear = [...powerUpGemsToClear];
+        for (const gem of this.getMatchedGems(matches)) {
+            if (!allGemsToClear.includes(gem)) {
+                allGemsToClear.push(gem);
+            }
+        }
+        result.gemsCleared = this.resolveStep(allGemsToClear, matches, 0, events, move);
+        result.itemsCollected += this.collectDropItems(events);
+
+        // Cascades: keep clearing until the board settles, each step worth more
+        let step = 1;
+        let cascadeMatches = this.findMatches();
+        while (cascadeMatches.length > 0 && step <= MAX_CASCADE_STEPS) {
+            result.cascadeCleared += this.resolveStep(this.getMatchedGems(cascadeMatches), cascadeMatches, step, events, move);
+            result.itemsCollected += this.collectDropItems(events);
+            step++;
+            cascadeMatches = this.findMatches();
+        }
+
+        // Deadlock, or matches left by a cut-short cascade: rearrange the board
+        if (cascadeMatches.length > 0 || !this.hasValidMoves()) {
+            events.push({ type: ENGINE_EVENTS.RESHUFFLE, moves: this.reshuffle() });
+            result.reshuffled = true;
+        }
+
+        // Feature #19: Combo counts every clear step plus every chain reaction (Feature #28)
+        result.chainReactions = move.detonations;
+        result.combo = Math.min(step + move.detonations, SCORE_CONFIG.maxCombo);
+        result.scoreGained = move.score;
+        result.shieldsGained = move.shields;
+        result.blockersCleared = move.blockersCleared;
+
+        // Feature #30: A move that set off any power-up scores extra
+        if (move.detonated.size > 0) {
+            result.modifiers.push({ source: 'powerUp', icon: '💥', label: 'Power-up', multiplier: POWERUP_CONFIG.scoreMultiplier });
+        }
+
+        // Time bonus: match bonus plus cascade bonus, or a flat power-up bonus
+        if (matches.length > 0) {
+            result.timeBonus = SCORE_CONFIG.matchTimeBonus + (step > 1 ? result.combo : 0);
+        } else {
+            result.timeBonus = SCORE_CONFIG.powerUpTimeBonus;
+        }
+        result.timeBonus += move.timeBonus;
+
+        return result;
+    }
+
+    /**
+     * Apply a playMove result to a state object { score, moves, timer, comboCount, maxCombo, shields }
+     * The browser passes `game`; simulations pass their own plain object
+     * extraModifiers (shop boosts, events...) join the move's own modifiers in one stack;
+     * the final points and applied modifiers are recorded on result.finalScore / result.appliedModifiers
+     */
+    static applyResult(state, result, extraModifiers = []) {
+        if (!result.valid) return state;
+
+        const scored = applyScoreModifiers(result.scoreGained, [...result.modifiers, ...extraModifiers]);
+        result.finalScore = scored.points;
+        result.appliedModifiers = scored.applied;
+
+        // A shield from an earlier move pays for this one
+        if (result.movesUsed > 0 && state.shields > 0) {
+            state.shields--;
+        } else {
+            state.moves -= result.movesUsed;
+        }
+        state.shields = (state.shields || 0) + result.shieldsGained;
+
+        state.score += result.finalScore;
+        state.timer += result.timeBonus;
+        state.comboCount = Math.min(result.combo, SCORE_CONFIG.maxCombo);
+        state.maxCombo = Math.max(state.maxCombo || 0, state.comboCount);
+
+        // Feature #51: Level objectives, when the state has them
+        if (state.objectives) {
+            state.objectiveProgress = trackObjectives(state.objectives, state.objectiveProgress, result, state);
+        }
+        return state;
+    }
+
+    /**
+     * Check win/lose conditions for a state { score, targetScore, moves, timer }
+     * Feature #51: A state with objectives / objectiveProgress wins when every
+     * objective is met instead (never, when there are none)
+     * Returns OUTCOME.WON, OUTCOME.LOST or null while the game goes on
+     */
+    static evaluateOutcome(state) {
+        const won = state.objectives
+            ? state.objectives.length > 0 && objectivesComplete(state.objectives, state.objectiveProgress)
+            : state.score >= state.targetScore;
+        if (won) {
+            return OUTCOME.WON;
+        }
+        if (state.moves <= 0 || state.timer <= 0) {
+            return OUTCOME.LOST;
+        }
+        return null;
+    }
+}
+
+/**
+ * Level objective registry (Feature #51) - what a level asks for; combine any number
+ *   id, name, icon        - shown by the HUD trackers and the level-complete panel
+ *   validate(objective, level) - extra checks beyond a positive target: error text or null
+ *   start(objective, state) - progress when the level starts (default 0)
+ *   defaultTarget(level)  - optional target for a level that leaves it out
+ *   track(objective, progress, result, state) - progress after a playMove result has
+ *                          been applied to state; the objective is met at its target
+ */
+const OBJECTIVES = {};
+
+// Add or replace an objective type
+function registerObjective(definition) {
+    OBJECTIVES[definition.id] = Object.assign({
+        name: definition.id,
+        icon: '🎯',
+        validate: () => null,
+        start: () => 0,
+        track: progress => progress
+    }, definition);
+    return OBJECTIVES[definition.id];
+}
+
+registerObjective({
+    id: 'score',
+    name: 'Score',
+    icon: '⭐',
+    start: (objective, state) => state.score,
+    track: (objective, progress, result, state) => state.score
+});
+
+// { color, target } - gems of that color cleared by matches, blasts and cascades
+registerObjective({
+    id: 'collect',
+    name: 'Collect',
+    icon: '💎',
+    validate: (objective, level) => Array.isArray(level.colors) && level.colors.includes(objective.color)
+        ? null : 'color must be one of the level\'s colors',
+    track: (objective, progress, result) => progress + result.events
+        .filter(event => event.type === ENGINE_EVENTS.CLEAR)
+        .reduce((total, event) => total + event.gems.filter(gem => gem.type === objective.color).length, 0)
+});
+
+// { target } - drop items brought down to the bottom row (see DROP_ITEM)
+registerObjective({
+    id: 'drop',
+    name: 'Drop',
+    icon: '🍒',
+    track: (objective, progress, result) => progress + result.itemsCollected
+});
+
+// { target, special? } - specials made by matches, optionally of one type
+registerObjective({
+    id: 'specials',
+    name: 'Specials',
+    icon: '✨',
+    validate: objective => objective.special === undefined ||
+        (objective.special !== POWERUP_TYPES.NONE && SPECIAL_GEMS[objective.special])
+        ? null : 'special must be a special gem id',
+    track: (objective, progress, result) => progress + result.events
+        .filter(event => event.type === ENGINE_EVENTS.CREATE &&
+            (objective.special === undefined || event.gem.powerUpType === objective.special)).length
+});
+
+// { target } - one move reaching a combo of at least target
+registerObjective({
+    id: 'combo',
+    name: 'Combo',
+    icon: '🔥',
+    validate: objective => objective.target <= SCORE_CONFIG.maxCombo
+        ? null : `target can be at most ${SCORE_CONFIG.maxCombo}`,
+    track: (objective, progress, result) => Math.max(progress, result.combo)
+});
+
+// { target? } - blockers broken (every layer of one counts once); all of them by default
+registerObjective({
+    id: 'blockers',
+    name: 'Blockers',
+    icon: '🧱',
+    defaultTarget: level => Array.isArray(level.blockers) ? level.blockers.length : 0,
+    validate: (objective, level) => Array.isArray(level.blockers) && objective.target <= level.blockers.length
+        ? null : 'target can be at most the number of blockers',
+    track: (objective, progress, result) => progress + result.blockersCleared
+});
+
+// Progress for each objective when a level starts
+function startObjectives(objectives, state) {
+    return objectives.map(objective => OBJECTIVES[objective.type].start(objective, state));
+}
+
+// Progress for each objective after a move
+function trackObjectives(objectives, progress, result, state) {
+    return objectives.map((objective, i) =>
+        OBJECTIVES[objective.type].track(objective, progress[i] || 0, result, state));
+}
+
+function isObjectiveComplete(objective, progress) {
+    return progress >= objective.target;
+}
+
+function objectivesComplete(objectives, progress) {
+    return objectives.every((objective, i) => isObjectiveComplete(objective, progress[i] || 0));
+}
+
+/**
+ * Level definitions (Feature #49) - one JSON object per level:
+ *   id, name, description, hint  - identity and menu text
+ *   rows, cols                   - board size
+ *   mask                         - optional, one string per row: '#' cell, '.' hole
+ *   layout                       - optional fixed start, one string per row of color digits
+ *   colors                       - gem colors that appear, e.g. [0, 1, 2]
+ *   spawnWeights                 - optional relative chance of each of `colors`
+ *   specialSpawnRates            - optional { special id: chance } overrides for refills; with
+ *                                  the defaults, at most LEVEL_LIMITS.maxSpawnRate in all
+ *   moves, time                  - limits; null for none
+ *   objectives                   - [{ type, target, ... }] from OBJECTIVES, all needed to win;
+ *                                  empty to play until out of moves/time
+ *   stars                        - three ascending score thresholds
+ *   specials                     - [{ row, col, type }] special gems on the starting board
+ *   blockers                     - [{ row, col, type, strength }] from BLOCKER_TYPES; strength
+ *                                  defaults to 1. A stone cell holds no gem.
+ * validateLevel() fills in defaults and lists every problem, so Node tools can
+ * check level files the same way the game does
+ */
+const LEVEL_LIMITS = {
+    minSize: 3,
+    maxSize: 10,
+    // Three colors always leave one that fits any cell; two can box a cell in
+    minColors: 3,
+    maxColors: 4,
+    // Specials refill as specials that set off more; past this total chance a move barely settles
+    maxSpawnRate: 0.1
+};
+
+const LEVEL_DEFAULTS = {
+    name: 'Level',
+    description: '',
+    hint: '',
+    rows: 10,
+    cols: 10,
+    mask: null,
+    layout: null,
+    colors: [0, 1, 2, 3],
+    spawnWeights: null,
+    specialSpawnRates: {},
+    moves: 30,
+    time: 60,
+    objectives: [{ type: 'score', target: 25000 }],
+    stars: null,
+    specials: [],
+    blockers: []
+};
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Check a level definition and fill in defaults
+ * Returns { level, errors } - level is null when there are errors
+ */
+function validateLevel(definition) {
+    const errors = [];
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        return { level: null, errors: ['Level must be an object'] };
+    }
+
+    const level = Object.assign({}, LEVEL_DEFAULTS, definition);
+    if (level.id === undefined || level.id === null || level.id === '') {
+        errors.push('id is required');
+    }
+
+    for (const key of ['rows', 'cols']) {
+        if (!Number.isInteger(level[key]) || level[key] < LEVEL_LIMITS.minSize || level[key] > LEVEL_LIMITS.maxSize) {
+            errors.push(`${key} must be a whole number from ${LEVEL_LIMITS.minSize} to ${LEVEL_LIMITS.maxSize}`);
+        }
+    }
+    const sizeOk = errors.every(error => !error.startsWith('rows') && !error.startsWith('cols'));
+
+    // Rows of strings shaped like the board
+    const checkRows = (key, cellOk, cellHint) => {
+        const lines = level[key];
+        if (lines === null) return false;
+        if (!Array.isArray(lines) || lines.length !== level.rows ||
+            lines.some(line => typeof line !== 'string' || line.length !== level.cols)) {
+            errors.push(`${key} must be ${level.rows} strings of ${level.cols} characters`);
+            return false;
+        }
+        const bad = lines.findIndex(line => ![...line].every(cellOk));
+        if (bad !== -1) {
+            errors.push(`${key} row ${bad} may only use ${cellHint}`);
+            return false;
+        }
+        return true;
+    };
+
+    // Feature #53: Holes shape the board; nothing can be placed in one
+    const maskOk = sizeOk && checkRows('mask', cell => cell === '#' || cell === '.', "'#' and '.'");
+    const isHole = (row, col) => maskOk && level.mask[row][col] === '.';
+
+    if (!Array.isArray(level.colors) || level.colors.length < LEVEL_LIMITS.minColors ||
+        new Set(level.colors).size !== level.colors.length ||
+        level.colors.some(color => !Number.isInteger(color) || color < 0 || color >= LEVEL_LIMITS.maxColors)) {
+        errors.push(`colors must list ${LEVEL_LIMITS.minColors} to ${LEVEL_LIMITS.maxColors} different colors from 0 to ${LEVEL_LIMITS.maxColors - 1}`);
+    } else if (level.spawnWeights !== null && (!Array.isArray(level.spawnWeights) ||
+        level.spawnWeights.length !== level.colors.length ||
+        level.spawnWeights.some(weight => typeof weight !== 'number' || !(weight > 0)))) {
+        errors.push('spawnWeights must give a positive weight for each of colors');
+    }
+
+    if (!level.specialSpawnRates || typeof level.specialSpawnRates !== 'object' ||
+        Object.entries(level.specialSpawnRates).some(([type, rate]) =>
+            !SPECIAL_GEMS[type] || typeof rate !== 'number' || rate < 0 || rate > 1)) {
+        errors.push('specialSpawnRates must map special gem ids to chances from 0 to 1');
+    } else {
+        const rates = {};
+        for (const special of Object.values(SPECIAL_GEMS)) {
+            rates[special.id] = special.spawnRate;
+        }
+        Object.assign(rates, level.specialSpawnRates);
+        const total = Object.values(rates).reduce((sum, rate) => sum + rate, 0);
+        if (total > LEVEL_LIMITS.maxSpawnRate) {
+            errors.push(`specialSpawnRates must add up to at most ${LEVEL_LIMITS.maxSpawnRate}, default rates included`);
+        }
+    }
+
+    for (const key of ['moves', 'time']) {
+        if (level[key] !== null && !isPositiveInteger(level[key])) {
+            errors.push(`${key} must be a positive whole number or null`);
+        }
+    }
+
+    // Blockers: on the board, one of each type per cell, and nothing else on a stone
+    if (!Array.isArray(level.blockers)) {
+        errors.push('blockers must be a list of { row, col, type, strength }');
+    } else {
+        level.blockers = level.blockers.map(blocker =>
+            blocker && typeof blocker === 'object' ? Object.assign({ strength: 1 }, blocker) : blocker);
+        const types = Object.values(BLOCKER_TYPES);
+        const seen = new Set();
+        level.blockers.forEach((blocker, i) => {
+            if (!blocker || !Number.isInteger(blocker.row) || !Number.isInteger(blocker.col) ||
+                blocker.row < 0 || blocker.row >= level.rows || blocker.col < 0 || blocker.col >= level.cols) {
+                errors.push(`blockers[${i}] must be on the board`);
+            } else if (isHole(blocker.row, blocker.col)) {
+                errors.push(`blockers[${i}] is on a hole`);
+            } else if (!types.includes(blocker.type)) {
+                errors.push(`blockers[${i}].type must be one of: ${types.join(', ')}`);
+            } else if (!Number.isInteger(blocker.strength) || blocker.strength < 1 || blocker.strength > BLOCKER_CONFIG.maxStrength) {
+                errors.push(`blockers[${i}].strength must be a whole number from 1 to ${BLOCKER_CONFIG.maxStrength}`);
+            } else if (seen.has(`${blocker.row},${blocker.col},${blocker.type}`)) {
+                errors.push(`blockers[${i}] repeats a ${blocker.type} on the same cell`);
+            } else {
+                seen.add(`${blocker.row},${blocker.col},${blocker.type}`);
+            }
+        });
+        level.blockers.filter(blocker => blocker && blocker.type === BLOCKER_TYPES.STONE).forEach(stone => {
+            const shared = level.blockers.some(blocker => blocker !== stone && blocker.row === stone.row && blocker.col === stone.col) ||
+                (Array.isArray(level.specials) && level.specials.some(special => special && special.row === stone.row && special.col === stone.col));
+            if (shared) {
+                errors.push(`stone at row ${stone.row}, column ${stone.col} can't share its cell`);
+            }
+        });
+    }
+    const blockersOk = Array.isArray(level.blockers) && !errors.some(error => error.startsWith('blockers') || error.startsWith('stone'));
+
+    // No objectives: play on until the moves or time run out (endless, rush)
+    if (!Array.isArray(level.objectives)) {
+        errors.push('objectives must be a list');
+    } else {
+        level.objectives = level.objectives.map(objective =>
+            objective && objective.target === undefined && OBJECTIVES[objective.type] && OBJECTIVES[objective.type].defaultTarget
+                ? Object.assign({}, objective, { target: OBJECTIVES[objective.type].defaultTarget(level) })
+                : objective);
+        level.objectives.forEach((objective, i) => {
+            if (!objective || !OBJECTIVES[objective.type]) {
+                errors.push(`objectives[${i}].type must be one of: ${Object.keys(OBJECTIVES).join(', ')}`);
+            } else if (!isPositiveInteger(objective.target)) {
+                errors.push(`objectives[${i}].target must be a positive whole number`);
+            } else {
+                const error = OBJECTIVES[objective.type].validate(objective, level);
+                if (error) {
+                    errors.push(`objectives[${i}].${error}`);
+                }
+            }
+        });
+    }
+
+    // Stars default to the score target, +50% and +100%
+    if (level.stars === null) {
+        const scoreObjective = Array.isArray(level.objectives) && level.objectives.find(objective => objective && objective.type === 'score');
+        const base = scoreObjective && isPositiveInteger(scoreObjective.target) ? scoreObjective.target : 0;
+        level.stars = [base, Math.round(base * 1.5), base * 2];
+    } else if (!Array.isArray(level.stars) || level.stars.length !== 3 ||
+        level.stars.some((stars, i) => !Number.isInteger(stars) || stars < 0 || (i > 0 && stars < level.stars[i - 1]))) {
+        errors.push('stars must be three ascending score thresholds');
+    }
+
+    if (!Array.isArray(level.specials)) {
+        errors.push('specials must be a list of { row, col, type }');
+    } else if (sizeOk) {
+        level.specials.forEach((special, i) => {
+            if (!special || !Number.isInteger(special.row) || !Number.isInteger(special.col) ||
+                special.row < 0 || special.row >= level.rows || special.col < 0 || special.col >= level.cols) {
+                errors.push(`specials[${i}] must be on the board`);
+            } else if (isHole(special.row, special.col)) {
+                errors.push(`specials[${i}] is on a hole`);
+            } else if (special.type === POWERUP_TYPES.NONE || !SPECIAL_GEMS[special.type]) {
+                errors.push(`specials[${i}].type must be a special gem id`);
+            }
+        });
+    }
+
+    // The shape has to fit a move, or random boards would never be ready
+    if (sizeOk) {
+        const board = new MatchEngine(level.rows, level.cols);
+        board.setMask(maskOk ? level.mask : null);
+        board.setBlockers(blockersOk ? level.blockers : []);
+        if (!board.hasRoomForMove()) {
+            errors.push('mask and blockers must leave three cells in a line with a fourth beside them');
+        }
+    }
+
+    // A fixed layout must use the level's colors, '.' exactly at the holes, and start playable
+    const colorsOk = Array.isArray(level.colors) && !errors.some(error => error.startsWith('colors'));
+    if (sizeOk && colorsOk && checkRows('layout', cell => cell === '.' || level.colors.includes(Number(cell)), `'.' and the digits ${level.colors.join(', ')}`)) {
+        const board = new MatchEngine(level.rows, level.cols);
+        board.setMask(maskOk ? level.mask : null);
+        board.setBlockers(blockersOk ? level.blockers : []);
+        const misplaced = level.layout.findIndex((line, row) => [...line].some((cell, col) => (cell === '.') !== isHole(row, col)));
+        if (misplaced !== -1) {
+            errors.push(`layout row ${misplaced} must have '.' exactly at the mask's holes`);
+        } else {
+            board.grid = level.layout.map((line, row) => [...line].map((cell, col) =>
+                board.isSolid(row, col) ? null : board.createGem(row, col, Number(cell))));
+            if (board.hasMatches()) {
+                errors.push('layout must not start with a match');
+            } else if (!board.hasValidMoves()) {
+                errors.push('layout must have at least one valid move');
+            }
+        }
+    }
+
+    return { level: errors.length === 0 ? level : null, errors: errors };
+}
+
+/**
+ * Move solver - scores every legal swap on copies of a board
+ * The engine it is given is never touched. Refills after a move are unknown to
+ * the player, so each swap is played out `samples` times with different refill
+ * seeds and the results averaged; `depth` > 1 adds the best follow-up moves.
+ * Hints, bots and level balancing all go through solve() / bestMove().
+ */
+const SOLVER_DEFAULTS = {
+    depth: 1,               // Moves to look ahead (1 = only the swap itself)
+    samples: 1,             // Refill outcomes averaged per swap
+    timeBudget: Infinity,   // ms - stop early and return what was evaluated
+    modifiers: [],          // Extra score modifiers (shop, events) to score with
+    seed: null              // Base seed for sampled refills (default: the board's seed)
+};
+
+class MoveSolver {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.options = Object.assign({}, SOLVER_DEFAULTS, options);
+        this.deadline = Infinity;
+        this.complete = true;
+    }
+
+    /**
+     * A plain MatchEngine copy of a board with its own refill RNG
+     */
+    static cloneEngine(engine, seed) {
+        const clone = new MatchEngine(engine.rows, engine.cols, engine.colorCount);
+        clone.seed = engine.seed;
+        clone.rng = new SeededRandom(seed);
+        clone.specialSpawnRates = Object.assign({}, engine.specialSpawnRates);
+        clone.colorWeights = engine.colorWeights;
+        clone.dropItemsLeft = engine.dropItemsLeft;
+        clone.layers = engine.layers.map(row => row.map(layers => Object.assign({}, layers)));
+        clone.holes = engine.holes;
+        clone.grid = engine.grid.map(row => row.map(gem => gem ? Object.assign({}, gem) : null));
+        return clone;
+    }
+
+    outOfTime() {
+        return Date.now() >= this.deadline;
+    }
+
+    /**
+     * Every legal swap on the board, as { row1, col1, row2, col2 }
+     */
+    getLegalSwaps(engine = this.engine) {
+        return MoveSolver.cloneEngine(engine, 0).getValidSwaps();
+    }
+
+    /**
+     * Evaluate all legal swaps, best first
+     * Returns { moves, complete } - each move is { row1, col1, row2, col2, cleared,
+     * specialsCreated, cascades, score, future, total }, averaged over the samples;
+     * complete is false when the time budget ran out first
+     */
+    solve() {
+        this.deadline = Date.now() + this.options.timeBudget;
+        this.complete = true;
+        const moves = this.evaluateBoard(this.engine, this.options.depth);
+        return { moves: moves, complete: this.complete };
+    }
+
+    /**
+     * The highest scoring swap, or null on a dead board
+     */
+    bestMove() {
+        return this.solve().moves[0] || null;
+    }
+
+    evaluateBoard(engine, depth) {
+        const baseSeed = this.options.seed !== null ? this.options.seed : (engine.seed || 0);
+        const moves = [];
+
+        for (const swap of this.getLegalSwaps(engine)) {
+            if (this.outOfTime()) {
+                this.complete = false;
+                break;
+            }
+            moves.push(this.evaluateSwap(engine, swap, depth, baseSeed));
+        }
+
+        return moves.sort((a, b) => b.total - a.total);
+    }
+
+    /**
+     * Play one swap out on copies of the board and average what happened
+     */
+    evaluateSwap(engine, swap, depth, baseSeed) {
+        const samples = Math.max(1, this.options.samples);
+        const totals = { cleared: 0, specialsCreated: 0, cascades: 0, score: 0, future: 0 };
+
+        for (let sample = 0; sample < samples; sample++) {
+            // The same refill seeds for every swap keep the comparison fair
+            const clone = MoveSolver.cloneEngine(engine, deriveSeed(baseSeed, sample));
+            const result = clone.playMove(swap.row1, swap.col1, swap.row2, swap.col2);
+            const outcome = MoveSolver.summarize(result, this.options.modifiers);
+
+            totals.cleared += outcome.cleared;
+            totals.specialsCreated += outcome.specialsCreated;
+            totals.cascades += outcome.cascades;
+            totals.score += outcome.score;
+
+            if (depth > 1 && !this.outOfTime()) {
+                const next = this.evaluateBoard(clone, depth - 1)[0];
+                totals.future += next ? next.total : 0;
+            }
+        }
+
+        const move = Object.assign({}, swap);
+        for (const [key, value] of Object.entries(totals)) {
+            move[key] = value / samples;
+        }
+        move.total = move.score + move.future;
+        return move;
+    }
+
+    /**
+     * What one playMove result did: gems cleared by the swap itself, specials
+     * created anywhere in the move, cascade steps and points after modifiers
+     */
+    static summarize(result, modifiers = []) {
+        const events = result.events;
+        return {
+            cleared: result.gemsCleared,
+            specialsCreated: events.filter(event => event.type === ENGINE_EVENTS.CREATE).length,
+            cascades: events.filter(event => event.type === ENGINE_EVENTS.CLEAR && event.step > 0).length,
+            score: applyScoreModifiers(result.scoreGained, [...result.modifiers, ...modifiers]).points
+        };
+    }
+}
+
+// Node: expose the engine for simulations and tests
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        POWERUP_TYPES,
+        POWERUP_CONFIG,
+        SPECIAL_GEMS,
+        registerSpecialGem,
+        SPECIAL_COMBOS,
+        registerSpecialCombo,
+        MATCH_SHAPES,
+        SCORE_CONFIG,
+        MODIFIER_ORDER,
+        applyScoreModifiers,
+        OUTCOME,
+        ENGINE_EVENTS,
+        MAX_CASCADE_STEPS,
+        SeededRandom,
+        createSeed,
+        deriveSeed,
+        comboMultiplier,
+        MatchEngine,
+        LEVEL_LIMITS,
+        LEVEL_DEFAULTS,
+        OBJECTIVES,
+        registerObjective,
+        startObjectives,
+        trackObjectives,
+        isObjectiveComplete,
+        objectivesComplete,
+        DROP_ITEM,
+        DROP_ITEM_CONFIG,
+        BLOCKER_TYPES,
+        BLOCKER_CONFIG,
+        validateLevel,
+        SOLVER_DEFAULTS,
+        MoveSolver
+    };
+}
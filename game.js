@@ -1,6 +1,6 @@
 /**
- * Three-in-a-Row Game - Grid Manager
- * Handles grid initialization, gem spawning, and grid operations
+ * Three-in-a-Row Game - Canvas Front End
+ * Renders the rules engine state (engine.js) and animates its events
  */
 
 const CONFIG = {
@@ -18,6 +18,9 @@ const CONFIG = {
     gridOffsetY: 60
 };
 
+// Where a full-size board's top-left corner goes (Feature #49: smaller boards are centered)
+const BOARD_ORIGIN = { x: CONFIG.gridOffsetX, y: CONFIG.gridOffsetY };
+
 // Polyfill for roundRect if not available
 if (!CanvasRenderingContext2D.prototype.roundRect) {
     CanvasRenderingContext2D.prototype.roundRect = function(x, y, w, h, r) {
@@ -48,19 +51,70 @@ const GEM_COLORS = [
     '#f1c40f'  // Yellow
 ];
 
-// Power-up gem types (Feature #20)
-const POWERUP_TYPES = {
-    NONE: 'none',
-    BOMB: 'bomb',       // Clears 3x3 area around it
-    COLOR_CLEAR: 'color' // Clears all gems of one color
+// Colorblind-safe palettes - same gem order as GEM_COLORS; accent tints popups
+const GEM_PALETTES = {
+    classic: {
+        name: 'Classic', colors: GEM_COLORS, accent: '#f1c40f',
+        colorNames: ['Red', 'Blue', 'Green', 'Yellow']
+    },
+    deuteranopia: {
+        name: 'Deuteranopia', colors: ['#d55e00', '#56b4e9', '#f0e442', '#cc79a7'], accent: '#f0e442',
+        colorNames: ['Vermilion', 'Sky blue', 'Yellow', 'Pink']
+    },
+    protanopia: {
+        name: 'Protanopia', colors: ['#e69f00', '#0072b2', '#f0e442', '#ffffff'], accent: '#e69f00',
+        colorNames: ['Orange', 'Blue', 'Yellow', 'White']
+    },
+    tritanopia: {
+        name: 'Tritanopia', colors: ['#dc3220', '#009e73', '#ffffff', '#ff80ab'], accent: '#ff80ab',
+        colorNames: ['Red', 'Teal', 'White', 'Pink']
+    },
+    highContrast: {
+        name: 'High Contrast', colors: ['#ff3b30', '#00a2ff', '#ffffff', '#ffd60a'], accent: '#ffffff',
+        colorNames: ['Red', 'Blue', 'White', 'Yellow']
+    }
 };
 
-// Power-up configuration
-const POWERUP_CONFIG = {
-    bombRadius: 1,      // 1 = 3x3 area (clears center + 8 surrounding)
-    scoreMultiplier: 2,  // Bonus score multiplier for power-up activation
-    creationMatchSize: 4 // Minimum match size to create a power-up
-};
+// Glyph drawn on each gem type in colorblind mode, so color is never the only cue
+const GEM_GLYPHS = ['circle', 'triangle', 'square', 'diamond'];
+
+function getPalette() {
+    return GEM_PALETTES[SettingsManager.palette] || GEM_PALETTES.classic;
+}
+
+function getGemColors() {
+    return getPalette().colors;
+}
+
+// Start a new game: pick its base seed (a pending seed, e.g. from ?seed=, wins)
+// and reset what lasts for one game
+function beginNewGame() {
+    game.seed = game.pendingSeed !== null ? game.pendingSeed : createSeed();
+    game.pendingSeed = null;
+    game.shields = 0; // Shields don't carry over into a new game
+    // A bought 2x Score lasts one real game - not a replay or an editor test play
+    game.scoreBoost = ReplayManager.playing || EditorManager.testing ? 1 : ShopManager.claimScoreBoost();
+    // Shop start specials and event spawn rates also last the game; a replay uses the recorded ones
+    const replayed = ReplayManager.playing && ReplayManager.playing.recording;
+    game.startSpecials = replayed ? (replayed.specials || []) : EditorManager.testing ? [] : ShopManager.claimStartSpecials();
+    game.eventSpawnRates = replayed ? (replayed.spawnRates || {}) : EditorManager.testing ? {} : EventManager.getSpawnRates();
+    console.log(`🎲 Game seed: ${game.seed}`);
+    return game.seed;
+}
+
+// Seed for a level's board - the same game seed and level always give the same board
+function levelSeed(level = game.level) {
+    return deriveSeed(game.seed, level);
+}
+
+// Random rewards (daily spin, chests) roll from a saved reward seed, one derived
+// stream per roll, so the same reward seed always gives the same rewards in order
+function rewardRng() {
+    const saved = JSON.parse(localStorage.getItem('threeInRow_rewardSeed') || 'null');
+    const state = saved || { seed: createSeed(), rolls: 0 };
+    localStorage.setItem('threeInRow_rewardSeed', JSON.stringify({ seed: state.seed, rolls: state.rolls + 1 }));
+    return new SeededRandom(deriveSeed(state.seed, state.rolls));
+}
 
 // Game state constants
 const GAME_STATE = {
@@ -68,7 +122,8 @@ const GAME_STATE = {
     PLAYING: 'playing',
     WON: 'won',
     LOST: 'lost',
-    PAUSED: 'paused'  // Feature #17: Pause functionality
+    PAUSED: 'paused',  // Feature #17: Pause functionality
+    EDITOR: 'editor'   // Feature #50: Level editor
 };
 
 // Game state
@@ -85,21 +140,36 @@ const game = {
     moves: 30,
     gameState: GAME_STATE.MENU,
     gridInitialized: false,
-    targetScore: 1000,
+    targetScore: 25000,
+    // Feature #51: The level's objectives and progress toward each (see OBJECTIVES)
+    objectives: null,
+    objectiveProgress: [],
+    // Feature #52: Blocker layers as drawn while a move plays back (null = the engine's)
+    displayLayers: null,
     // Timer system - Feature #14
     timer: 60,           // Seconds remaining
     timerInterval: null,  // Timer interval ID
+    // Seeded RNG - same seed + same swaps = same game
+    seed: null,          // Base seed for the current game
+    pendingSeed: null,   // Seed requested for the next game (e.g. ?seed= in the URL)
     // Animation system
     animations: [],
     animatingGems: new Set(),
+    clearingGems: new Set(),   // Gems removed by the engine but still fading out
     swapInProgress: null,
-    lastMouseX: 0,
+    lastMouseX: 0,           // Pointer position in client coordinates (hover effects)
     lastMouseY: 0,
+    drag: null,              // Active press/swipe { pointerId, startX, startY, gem, homeX, homeY, moved }
     // Feature #19: Combo system
     comboCount: 0,           // Current combo multiplier (1 = no combo)
     comboTimer: null,        // Timer to reset combo
     maxCombo: 0,             // Highest combo achieved this level
     comboMessages: [],        // Active combo popup messages
+    shields: 0,              // Feature #26: Shield gems banked - each pays for one move
+    scoreBreakdown: null,    // Feature #29: Itemized score of the last move { items, total, time }
+    scoreBoost: 1,           // Feature #30: Shop score multiplier claimed for this game
+    startSpecials: [],       // Shop special gems placed on this game's first board
+    eventSpawnRates: {},     // Event special gem spawn rates for this game's refills
     // Currency - Feature #21
     gems: 0,                  // Premium currency
     coins: 0                   // Regular currency
@@ -185,8 +255,14 @@ const AchievementManager = {
     },
     
     incrementStat(stat) {
-        if (typeof this.stats[stat] === 'number') {
-            this.stats[stat]++;
+        if (ReplayManager.playing || EditorManager.testing) return; // Watching a replay or testing a level earns nothing
+
+        // Nested stats use a dotted path, e.g. 'powerUpsUsed.bomb'
+        const path = stat.split('.');
+        const key = path.pop();
+        const target = path.reduce((obj, part) => (obj ? obj[part] : undefined), this.stats);
+        if (target && typeof target[key] === 'number') {
+            target[key]++;
             this.checkAchievements();
             this.save();
         }
@@ -239,6 +315,8 @@ const SHOP_ITEMS = {
     EXTRA_MOVES_5: { id: 'extra_moves_5', name: '+5 Moves', desc: 'Start with 5 extra moves', icon: '👟', price: 50, type: 'start_bonus', value: 5 },
     STARTING_TIME_15: { id: 'start_time_15', name: '+15s Time', desc: 'Start with 15 extra seconds', icon: '⏱️', price: 75, type: 'start_bonus', value: 15 },
     SCORE_BOOST_2X: { id: 'score_2x', name: '2x Score', desc: '2x score multiplier for one game', icon: '✨', price: 150, type: 'one_time', value: 2 },
+    START_BOMB: { id: 'start_bomb', name: 'Bomb Start', desc: 'Start your next game with a Bomb gem', icon: '💣', price: 100, type: 'start_special', special: POWERUP_TYPES.BOMB },
+    START_LINE: { id: 'start_line', name: 'Line Start', desc: 'Start your next game with a Line Blast gem', icon: '➕', price: 120, type: 'start_special', special: POWERUP_TYPES.LINE },
     
     // Consumables (buy with gems)
     GEMS_100: { id: 'gems_100', name: '100 Gems', desc: 'Get 100 premium gems', icon: '💎', price: 0, priceType: 'gems', type: 'currency', value: 100 },
@@ -255,7 +333,8 @@ const ShopManager = {
     activeBoosts: {
         extraMoves: 0,
         extraTime: 0,
-        scoreMultiplier: 1
+        scoreMultiplier: 1,
+        startSpecials: []   // Special gem ids placed on the next game's board
     },
     permanentStats: {
         moves: 0,
@@ -309,6 +388,8 @@ const ShopManager = {
             this.activeBoosts.extraMoves += item.value;
         } else if (item.type === 'one_time') {
             this.activeBoosts.scoreMultiplier = item.value;
+        } else if (item.type === 'start_special') {
+            this.activeBoosts.startSpecials = [...(this.activeBoosts.startSpecials || []), item.special];
         } else if (item.type === 'permanent') {
             this.permanentStats[item.stat] += item.value;
             this.purchased.add(itemId);
@@ -323,27 +404,47 @@ const ShopManager = {
     },
     
     resetBoosts() {
-        this.activeBoosts = { extraMoves: 0, extraTime: 0, scoreMultiplier: 1 };
+        this.activeBoosts = { extraMoves: 0, extraTime: 0, scoreMultiplier: 1, startSpecials: [] };
         this.save();
     },
     
     resetAll() {
         this.purchased = new Set();
-        this.activeBoosts = { extraMoves: 0, extraTime: 0, scoreMultiplier: 1 };
+        this.activeBoosts = { extraMoves: 0, extraTime: 0, scoreMultiplier: 1, startSpecials: [] };
         this.permanentStats = { moves: 0, timer: 0, combo: 0 };
         this.save();
     },
     
-    getBonusMoves() {
-        return 30 + (this.activeBoosts.extraMoves || 0) + (this.permanentStats.moves || 0);
+    getBonusMoves(baseMoves = 30) {
+        return baseMoves + (this.activeBoosts.extraMoves || 0) + (this.permanentStats.moves || 0);
     },
     
-    getBonusTime() {
-        return 60 + (this.activeBoosts.extraTime || 0) + (this.permanentStats.timer || 0);
+    getBonusTime(baseTime = 60) {
+        return baseTime + (this.activeBoosts.extraTime || 0) + (this.permanentStats.timer || 0);
     },
     
     getComboBonus() {
         return this.permanentStats.combo || 0;
+    },
+    
+    // Hand the bought score boost to the game that's starting (it lasts one game)
+    claimScoreBoost() {
+        const multiplier = this.activeBoosts.scoreMultiplier || 1;
+        if (multiplier !== 1) {
+            this.activeBoosts.scoreMultiplier = 1;
+            this.save();
+        }
+        return multiplier;
+    },
+
+    // Hand the bought start specials to the game that's starting (they last one game)
+    claimStartSpecials() {
+        const specials = this.activeBoosts.startSpecials || [];
+        if (specials.length > 0) {
+            this.activeBoosts.startSpecials = [];
+            this.save();
+        }
+        return specials;
     }
 };
 
@@ -354,6 +455,7 @@ const ANIMATION = {
     CLEAR_DURATION: 250,         // ms for match clear animation
     CLEAR_EASE: 'ease-in',
     FALL_DURATION: 150,          // ms per cell for falling gems
+    SHUFFLE_DURATION: 450,       // ms for gems sliding to reshuffled cells
     SELECTION_PULSE_DURATION: 600 // ms for selection pulse animation
 };
 
@@ -400,6 +502,7 @@ function showNotification(message, duration = 3000) {
     }
     
     document.body.appendChild(notification);
+    ScreenReaderManager.announce(message);
     
     notificationTimeout = setTimeout(() => {
         notification.remove();
@@ -650,97 +753,22 @@ const ChallengeManager = {
 };
 
 // Feature #28: New Gem Types
-const GEM_TYPES = {
-    NORMAL: 'normal',
-    BOMB: 'bomb',         // Clears 3x3 area
-    COLOR_CLEAR: 'color_clear',  // Clears all of one color
-    BLOCK: 'block',       // Clears row + column
-    FREEZE: 'freeze',    // Adds 10 seconds
-    SHIELD: 'shield'     // Protects from move penalty
-};
-
+// Feature #26: Special gems - every special (bomb, color clear, line, freeze,
+// shield) is defined once in SPECIAL_GEMS (engine.js); this places them in play
 const GemTypeManager = {
-    // Feature #26: New gem types with special effects
-    createSpecial(type) {
-        return {
-            type: type,
-            createdAt: Date.now()
-        };
-    },
-    
-    activateGem(gem, grid) {
-        const { row, col } = gem;
-        
-        switch (gem.specialType) {
-            case GEM_TYPES.BOMB:
-                // Clear 3x3 area
-                this.clearArea(grid, row, col, 1);
-                AchievementManager.incrementStat('powerUpsUsed.bomb');
-                SoundManager.powerUp();
-                break;
-                
-            case GEM_TYPES.COLOR_CLEAR:
-                // Clear all gems of the same color
-                const color = grid[row][col].color;
-                this.clearByColor(grid, color);
-                AchievementManager.incrementStat('powerUpsUsed.colorClear');
-                SoundManager.powerUp();
-                break;
-                
-            case GEM_TYPES.BLOCK:
-                // Clear row and column
-                this.clearRow(grid, row);
-                this.clearCol(grid, col);
-                SoundManager.powerUp();
-                break;
-                
-            case GEM_TYPES.FREEZE:
-                // Add 10 seconds to timer
-                game.timer += 10;
-                showNotification('⏱️ +10 seconds!', 2000);
-                SoundManager.purchase();
-                break;
-                
-            case GEM_TYPES.SHIELD:
-                // Mark as shielded (next penalty is ignored)
-                game.shieldActive = true;
-                showNotification('🛡️ Shield activated!', 2000);
-                break;
-        }
-    },
-    
-    clearArea(grid, centerRow, centerCol, radius) {
-        for (let r = centerRow - radius; r <= centerRow + radius; r++) {
-            for (let c = centerCol - radius; c <= centerCol + radius; c++) {
-                if (r >= 0 && r < CONFIG.gridRows && c >= 0 && c < CONFIG.gridCols) {
-                    if (grid[r][c]) {
-                        grid[r][c].cleared = true;
-                    }
-                }
-            }
-        }
-    },
-    
-    clearRow(grid, row) {
-        for (let c = 0; c < CONFIG.gridCols; c++) {
-            if (grid[row][c]) grid[row][c].cleared = true;
-        }
-    },
-    
-    clearCol(grid, col) {
-        for (let r = 0; r < CONFIG.gridRows; r++) {
-            if (grid[r][col]) grid[r][col].cleared = true;
+    // Turn a random plain gem on the board into a special (shop items, events, levels)
+    placeRandom(powerUpType) {
+        const gem = game.gridManager.placeRandomSpecial(powerUpType);
+        if (gem) {
+            const special = SPECIAL_GEMS[powerUpType];
+            showNotification(`${special.icon} ${special.name} gem added!`, 2000);
         }
+        return gem;
     },
-    
-    clearByColor(grid, color) {
-        for (let r = 0; r < CONFIG.gridRows; r++) {
-            for (let c = 0; c < CONFIG.gridCols; c++) {
-                if (grid[r][c] && grid[r][c].color === color) {
-                    grid[r][c].cleared = true;
-                }
-            }
-        }
+
+    // Override how often refills spawn specials, e.g. { freeze: 0.05 } during an event
+    setSpawnRates(rates) {
+        Object.assign(game.gridManager.specialSpawnRates, rates);
     }
 };
 
@@ -749,7 +777,7 @@ const EVENT_TYPES = {
     DOUBLE_SCORE: { id: 'double_score', name: '2x Score', desc: 'All points doubled!', color: '#f1c40f' },
     EXTRA_TIME: { id: 'extra_time', name: '+30s Time', desc: 'Extra time bonus!', color: '#3498db' },
     BONUS_MOVES: { id: 'bonus_moves', name: '+10 Moves', desc: 'Extra moves!', color: '#2ecc71' },
-    RAINBOW_GEMS: { id: 'rainbow', name: 'Rainbow Gems', desc: 'Colorful gems!', color: '#9b59b6' }
+    RAINBOW_GEMS: { id: 'rainbow', name: 'Rainbow Gems', desc: 'Color Clear gems drop in!', color: '#9b59b6', spawnRates: { [POWERUP_TYPES.COLOR_CLEAR]: 0.02 } }
 };
 
 const EventManager = {
@@ -804,6 +832,11 @@ const EventManager = {
     getMultiplier() {
         return this.activeEvent?.id === 'double_score' ? 2 : 1;
     },
+
+    // Special gem spawn rates the event adds to refills (see GemTypeManager.setSpawnRates)
+    getSpawnRates() {
+        return this.isActive() && this.activeEvent.spawnRates ? this.activeEvent.spawnRates : {};
+    },
     
     reset() {
         this.activeEvent = null;
@@ -812,6 +845,35 @@ const EventManager = {
     }
 };
 
+// Feature #30: Score modifiers - shop boosts, events and Combo King in one stack
+// (applied after the move's own power-up modifier, in MODIFIER_ORDER - see engine.js)
+const ScoreModifierManager = {
+    // Modifiers in effect for every move right now (shown in the HUD)
+    getActive() {
+        const modifiers = [];
+
+        const comboBonus = ShopManager.getComboBonus();
+        if (comboBonus > 0) {
+            modifiers.push({ source: 'combo', icon: '👑', label: 'Combo King', multiplier: 1 + comboBonus * SCORE_CONFIG.comboStep });
+        }
+
+        if (EventManager.isActive() && EventManager.getMultiplier() !== 1) {
+            modifiers.push({ source: 'event', icon: '🎉', label: EventManager.activeEvent.name, multiplier: EventManager.getMultiplier() });
+        }
+
+        if (game.scoreBoost > 1) {
+            modifiers.push({ source: 'shop', icon: '✨', label: 'Score Boost', multiplier: game.scoreBoost });
+        }
+
+        return modifiers;
+    },
+
+    // Modifiers for one move - Combo King only pays out on combos
+    collect(result) {
+        return this.getActive().filter(modifier => modifier.source !== 'combo' || result.combo > 1);
+    }
+};
+
 // Feature #31: Quest System
 const QUESTS = {
     // Tutorial quests (shown sequentially)
@@ -955,24 +1017,15 @@ const DailySpinManager = {
         return this.spinsRemaining > 0;
     },
     
-    spin() {
+    // rng: the reward stream to roll from - the next one from rewardRng() by default
+    spin(rng = rewardRng()) {
         if (!this.canSpin()) {
             showNotification('No spins remaining today!', 2000);
             return null;
         }
         
         // Select weighted random reward
-        const totalWeight = DAILY_REWARDS.reduce((sum, r) => sum + r.weight, 0);
-        let random = Math.random() * totalWeight;
-        
-        let selected = DAILY_REWARDS[0];
-        for (const reward of DAILY_REWARDS) {
-            random -= reward.weight;
-            if (random <= 0) {
-                selected = reward;
-                break;
-            }
-        }
+        const selected = rng.pickWeighted(DAILY_REWARDS);
         
         // Apply reward
         if (selected.type === 'coins') {
@@ -1185,7 +1238,7 @@ const StatsManager = {
         lastPlayed: null
     },
     
-    init() {
+    load() {
         const saved = localStorage.getItem('threeInRow_stats');
         if (saved) {
             this.stats = { ...this.stats, ...JSON.parse(saved) };
@@ -1347,7 +1400,8 @@ const ChestManager = {
         return lastDate !== today;
     },
     
-    claimDaily() {
+    // rng: the reward stream to roll from - the next one from rewardRng() by default
+    claimDaily(rng = rewardRng()) {
         if (!this.canClaimDaily()) return null;
         
         // Free chest
@@ -1364,7 +1418,7 @@ const ChestManager = {
             { type: 'gems', value: 10, icon: '💎' },
             { type: 'boost_moves', value: 2, icon: '👟' }
         ];
-        const reward = rewards[Math.floor(Math.random() * rewards.length)];
+        const reward = rng.pick(rewards);
         
         // Apply reward
         if (reward.type === 'coins') game.coins = (game.coins || 0) + reward.value;
@@ -1375,7 +1429,8 @@ const ChestManager = {
         return reward;
     },
     
-    watchAd() {
+    // rng: the reward stream to roll from - the next one from rewardRng() by default
+    watchAd(rng = rewardRng()) {
         // Simulate ad watch (in real app, this would be an ad SDK)
         return new Promise((resolve) => {
             showNotification('📺 Watching ad...', 2000);
@@ -1385,7 +1440,7 @@ const ChestManager = {
                     { type: 'gems', value: 15, icon: '💎' },
                     { type: 'boost_time', value: 15, icon: '⏱️' }
                 ];
-                const reward = rewards[Math.floor(Math.random() * rewards.length)];
+                const reward = rng.pick(rewards);
                 
                 if (reward.type === 'coins') game.coins = (game.coins || 0) + reward.value;
                 else if (reward.type === 'gems') game.gems = (game.gems || 0) + reward.value;
@@ -1403,17 +1458,18 @@ const ChestManager = {
 };
 
 // Feature #40: Puzzle Mode
+// Built-in puzzle pack, in the level format (Feature #49); levels/*.json can add more
 const PUZZLE_LEVELS = [
-    { id: 1, name: 'Tutorial', description: 'Learn the basics', target: 500, moves: 10, hint: 'Match the red gems!' },
-    { id: 2, name: 'Easy Start', description: 'Simple matching', target: 800, moves: 12, hint: 'Look for 3-in-a-row' },
-    { id: 3, name: 'Color Focus', description: 'Master one color', target: 1000, moves: 15, hint: 'Focus on blue gems' },
-    { id: 4, name: 'Combo Time', description: 'Chain reactions', target: 1500, moves: 18, hint: 'Create cascades!' },
-    { id: 5, name: 'Power Up', description: 'Use power-ups', target: 2000, moves: 20, hint: 'Match 4 for a bomb!' },
-    { id: 6, name: 'Expert', description: 'Test your skills', target: 2500, moves: 22, hint: 'Plan ahead' },
-    { id: 7, name: 'Master', description: 'Advanced play', target: 3000, moves: 25, hint: 'Maximize combos' },
-    { id: 8, name: 'Champion', description: 'Top tier', target: 4000, moves: 28, hint: 'Stay focused' },
-    { id: 9, name: 'Legend', description: 'For legends', target: 5000, moves: 30, hint: 'No mistakes!' },
-    { id: 10, name: 'Ultimate', description: 'Final challenge', target: 6000, moves: 35, hint: 'You can do it!' }
+    { id: 1, name: 'Tutorial', description: 'Learn the basics', moves: 10, time: null, objectives: [{ type: 'score', target: 5000 }], hint: 'Match the red gems!' },
+    { id: 2, name: 'Easy Start', description: 'Simple matching', moves: 12, time: null, objectives: [{ type: 'score', target: 8000 }], hint: 'Look for 3-in-a-row' },
+    { id: 3, name: 'Color Focus', description: 'Master one color', moves: 15, time: null, objectives: [{ type: 'score', target: 15000 }], hint: 'Focus on blue gems' },
+    { id: 4, name: 'Combo Time', description: 'Chain reactions', moves: 18, time: null, objectives: [{ type: 'score', target: 25000 }], hint: 'Create cascades!' },
+    { id: 5, name: 'Power Up', description: 'Use power-ups', moves: 20, time: null, objectives: [{ type: 'score', target: 35000 }], hint: 'Match 4 for a bomb!' },
+    { id: 6, name: 'Expert', description: 'Test your skills', moves: 22, time: null, objectives: [{ type: 'score', target: 50000 }], hint: 'Plan ahead' },
+    { id: 7, name: 'Master', description: 'Advanced play', moves: 25, time: null, objectives: [{ type: 'score', target: 65000 }], hint: 'Maximize combos' },
+    { id: 8, name: 'Champion', description: 'Top tier', moves: 28, time: null, objectives: [{ type: 'score', target: 80000 }], hint: 'Stay focused' },
+    { id: 9, name: 'Legend', description: 'For legends', moves: 30, time: null, objectives: [{ type: 'score', target: 100000 }], hint: 'No mistakes!' },
+    { id: 10, name: 'Ultimate', description: 'Final challenge', moves: 35, time: null, objectives: [{ type: 'score', target: 125000 }], hint: 'You can do it!' }
 ];
 
 const PuzzleManager = {
@@ -1438,7 +1494,7 @@ const PuzzleManager = {
     },
     
     startPuzzle(levelId) {
-        const level = PUZZLE_LEVELS.find(l => l.id === levelId);
+        const level = LevelManager.findLevel('puzzle', levelId);
         if (!level) return false;
         
         this.currentPuzzle = {
@@ -1449,15 +1505,13 @@ const PuzzleManager = {
         };
         
         game.gameState = GAME_STATE.PLAYING;
-        game.moves = level.moves;
         game.score = 0;
-        game.targetScore = level.target;
         game.level = 1;
-        game.timer = 999999; // No timer in puzzle mode
         game.gameMode = 'puzzle';
         
-        game.gridManager.initialize();
-        game.grid = game.gridManager.getGrid();
+        beginNewGame();
+        LevelManager.apply(level, 'puzzle');
+        resetTimer(); // Puzzle levels have no time limit
         game.gridInitialized = true;
         
         return true;
@@ -1471,7 +1525,7 @@ const PuzzleManager = {
             
             // Unlock next level
             const nextId = this.currentPuzzle.level.id + 1;
-            if (!this.unlocked.includes(nextId) && PUZZLE_LEVELS.find(l => l.id === nextId)) {
+            if (!this.unlocked.includes(nextId) && LevelManager.findLevel('puzzle', nextId)) {
                 this.unlocked.push(nextId);
                 AchievementManager.unlockAchievement('level_5');
             }
@@ -1486,7 +1540,7 @@ const PuzzleManager = {
     getProgress() {
         return {
             unlocked: this.unlocked.length,
-            total: PUZZLE_LEVELS.length,
+            total: LevelManager.getLevels('puzzle').length,
             completed: this.completed.length
         };
     },
@@ -1507,13 +1561,11 @@ const EndlessManager = {
         game.gameState = GAME_STATE.PLAYING;
         game.score = 0;
         game.level = 1;
-        game.moves = 30;
-        game.targetScore = 0; // No target in endless
-        game.timer = 999999; // No timer
         game.gameMode = 'endless';
         
-        game.gridManager.initialize();
-        game.grid = game.gridManager.getGrid();
+        beginNewGame();
+        LevelManager.startLevel('endless', game.level); // No target, no timer
+        resetTimer();
         game.gridInitialized = true;
     },
     
@@ -1561,13 +1613,10 @@ const RushManager = {
         game.gameState = GAME_STATE.PLAYING;
         game.score = 0;
         game.level = 1;
-        game.moves = 999; // Unlimited moves
-        game.targetScore = 0;
-        game.timer = 60;
         game.gameMode = 'rush';
         
-        game.gridManager.initialize();
-        game.grid = game.gridManager.getGrid();
+        beginNewGame();
+        LevelManager.startLevel('rush', game.level); // Unlimited moves, 60 seconds
         game.gridInitialized = true;
         
         startTimer();
@@ -1705,61 +1754,224 @@ const CloudSaveManager = {
 };
 
 // Feature #44: Undo System
+// A snapshot of everything a committed swap changes is taken before it; undo and
+// redo put it back into both game and the GridManager (including the refill RNG,
+// so redoing a move refills the same way and replays stay deterministic)
+const UNDO_CONFIG = {
+    usesPerLevel: 3,   // Free undos each level
+    maxHistory: 5,     // Moves that can be stepped back
+    cost: 25           // Gems for one more undo
+};
+
 const UndoManager = {
     history: [],
-    maxHistory: 5,
-    
-    saveState() {
-        const state = {
-            grid: JSON.parse(JSON.stringify(game.grid)),
+    redoStack: [],
+    usesLeft: UNDO_CONFIG.usesPerLevel,
+
+    init() {
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            // Out of undos, the button buys one
+            undoBtn.addEventListener('click', () => {
+                if (this.usesLeft > 0) {
+                    this.undo();
+                } else {
+                    this.buyUndo();
+                }
+            });
+        }
+
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn) {
+            redoBtn.addEventListener('click', () => this.redo());
+        }
+    },
+
+    snapshot() {
+        return {
+            grid: game.gridManager.grid.map(row => row.map(gem => gem ? Object.assign({}, gem) : null)),
+            rngState: game.gridManager.rng.state,
             score: game.score,
             moves: game.moves,
-            combo: game.comboCount
+            timer: game.timer,
+            combo: game.comboCount,
+            maxCombo: game.maxCombo,
+            shields: game.shields,
+            objectiveProgress: [...game.objectiveProgress],
+            dropItemsLeft: game.gridManager.dropItemsLeft,
+            layers: game.gridManager.layers.map(row => row.map(layers => Object.assign({}, layers))),
+            dailyProgress: Object.assign({}, ChallengeManager.dailyProgress),
+            weeklyProgress: Object.assign({}, ChallengeManager.weeklyProgress),
+            questProgress: Object.assign({}, QuestManager.questProgress)
         };
-        
+    },
+
+    restore(state) {
+        game.gridManager.grid = state.grid;
+        game.gridManager.rng.state = state.rngState;
+        game.gridManager.dropItemsLeft = state.dropItemsLeft;
+        game.gridManager.layers = state.layers;
+        game.gridManager.syncGemPositions();
+        game.grid = game.gridManager.getGrid();
+        game.clearingGems.clear();
+        game.selectedGem = null;
+        game.scoreBreakdown = null;
+
+        game.score = state.score;
+        game.moves = state.moves;
+        game.timer = state.timer;
+        game.comboCount = state.combo;
+        game.maxCombo = state.maxCombo;
+        game.shields = state.shields;
+        game.objectiveProgress = state.objectiveProgress;
+
+        ChallengeManager.dailyProgress = state.dailyProgress;
+        ChallengeManager.weeklyProgress = state.weeklyProgress;
+        ChallengeManager.save();
+        QuestManager.questProgress = state.questProgress;
+        QuestManager.save();
+    },
+
+    /**
+     * Remember the state from before a committed swap; a new move drops the redo stack
+     */
+    saveState(state = this.snapshot()) {
         this.history.push(state);
+        this.redoStack = [];
         
         // Limit history size
-        if (this.history.length > this.maxHistory) {
+        if (this.history.length > UNDO_CONFIG.maxHistory) {
             this.history.shift();
         }
     },
+
+    // During a replay only the recording's own undo/redo events step
+    canStep(replayed) {
+        if (ReplayManager.playing && !replayed) return false;
+        return game.gameState === GAME_STATE.PLAYING && !game.isAnimating;
+    },
     
-    undo() {
+    undo(replayed = false) {
+        if (!this.canStep(replayed)) return false;
         if (this.history.length === 0) {
             showNotification('No moves to undo!', 1500);
             return false;
         }
+        // A replay repeats the undos that were made, bought or not
+        if (this.usesLeft <= 0 && !replayed) {
+            showNotification(`No undos left! Buy one for 💎 ${UNDO_CONFIG.cost}`, 1500);
+            return false;
+        }
         
-        const state = this.history.pop();
-        game.grid = state.grid;
-        game.score = state.score;
-        game.moves = state.moves;
-        game.comboCount = state.combo;
+        this.redoStack.push(this.snapshot());
+        this.restore(this.history.pop());
+        this.usesLeft = Math.max(0, this.usesLeft - 1);
         
-        showNotification('↩️ Move undone!', 1500);
+        showNotification(`↩️ Move undone! (${this.usesLeft} left)`, 1500);
         SoundManager.undo();
+        ReplayManager.record('undo');
+        return true;
+    },
+
+    /**
+     * Put back a move that was undone - free, it only cancels the undo
+     */
+    redo(replayed = false) {
+        if (!this.canStep(replayed)) return false;
+        if (this.redoStack.length === 0) {
+            showNotification('No moves to redo!', 1500);
+            return false;
+        }
+
+        this.history.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+
+        showNotification('↪️ Move redone!', 1500);
+        ReplayManager.record('redo');
         return true;
     },
+
+    buyUndo() {
+        if ((game.gems || 0) >= UNDO_CONFIG.cost) {
+            game.gems -= UNDO_CONFIG.cost;
+            this.usesLeft += 1;
+            showNotification(`+1 Undo (${this.usesLeft} left)`, 1500);
+            SoundManager.purchase();
+            return true;
+        }
+        showNotification('Not enough gems!', 1500);
+        return false;
+    },
+
+    /**
+     * Shown while playing; titles carry the uses left or the price
+     */
+    updateButtons() {
+        const playing = game.gameState === GAME_STATE.PLAYING && !ReplayManager.playing;
+
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.classList.toggle('hidden', !playing);
+            undoBtn.disabled = this.history.length === 0;
+            const title = this.usesLeft > 0
+                ? `Undo (${this.usesLeft} left)`
+                : `Buy an undo (💎 ${UNDO_CONFIG.cost})`;
+            if (undoBtn.title !== title) {
+                undoBtn.title = title;
+                undoBtn.setAttribute('aria-label', title);
+                undoBtn.textContent = this.usesLeft > 0 ? '↩️' : '💎';
+            }
+        }
+
+        const redoBtn = document.getElementById('redo-btn');
+        if (redoBtn) {
+            redoBtn.classList.toggle('hidden', !playing);
+            redoBtn.disabled = this.redoStack.length === 0;
+        }
+    },
     
     clear() {
         this.history = [];
+        this.redoStack = [];
     },
     
+    // Each level starts with a fresh history and its free undos
     reset() {
         this.clear();
+        this.usesLeft = UNDO_CONFIG.usesPerLevel;
     }
 };
 
 // Feature #45: Hint System
+// The solver (engine.js) picks the most valuable swap; the pair wiggles until the board changes
+const HINT_CONFIG = {
+    idleDelays: [0, 5, 10, 20, 30],   // Seconds offered in settings (0 = off)
+    solverBudget: 50,                 // ms the solver may spend picking a hint
+    wigglePeriod: 600,                // ms per wiggle back and forth
+    wiggleDistance: 4                 // px each gem leans toward the other
+};
+
 const HintManager = {
     hintsRemaining: 3,
+    active: null,          // { r1, c1, r2, c2, startTime } being shown
+    boardSignature: '',    // Board the active hint was found on
+    lastActivity: 0,       // Last input or board change, for the idle hint
     
     init() {
         const saved = localStorage.getItem('threeInRow_hints');
         if (saved) {
             this.hintsRemaining = JSON.parse(saved).count;
         }
+
+        const hintBtn = document.getElementById('hint-btn');
+        if (hintBtn) {
+            hintBtn.addEventListener('click', () => this.requestHint());
+        }
+
+        // Any input restarts the idle countdown
+        document.addEventListener('pointerdown', () => this.noteActivity());
+        document.addEventListener('keydown', () => this.noteActivity());
+        this.noteActivity();
     },
     
     save() {
@@ -1772,45 +1984,123 @@ const HintManager = {
             return null;
         }
         
+        // A dead board has nothing to show, so the hint isn't spent
+        const hint = this.findHint();
+        if (!hint) return null;
+
         this.hintsRemaining--;
         this.save();
-        return this.findHint();
+        ReplayManager.record('hint', [hint.r1, hint.c1, hint.r2, hint.c2]);
+        return hint;
+    },
+
+    /**
+     * Hint button, H key and gamepad LB: spend a hint and show it
+     */
+    requestHint() {
+        if (game.gameState !== GAME_STATE.PLAYING || game.isAnimating || ReplayManager.playing) return null;
+        if (this.active) return this.active;
+
+        const hint = this.useHint();
+        if (hint) {
+            this.show(hint);
+        } else if (this.hintsRemaining > 0) {
+            showNotification('No moves available!', 1500);
+        }
+        return hint;
     },
     
+    /**
+     * Best swap on the board by the solver's estimate, or null on a dead board
+     */
     findHint() {
-        // Find a valid move
-        for (let r = 0; r < CONFIG.gridRows; r++) {
-            for (let c = 0; c < CONFIG.gridCols; c++) {
-                // Check swap right
-                if (c < CONFIG.gridCols - 1) {
-                    if (this.wouldMatch(r, c, r, c + 1)) {
-                        return { r1: r, c1: c, r2: r, c2: c + 1 };
-                    }
-                }
-                // Check swap down
-                if (r < CONFIG.gridRows - 1) {
-                    if (this.wouldMatch(r, c, r + 1, c)) {
-                        return { r1: r, c1: c, r2: r + 1, c2: c };
-                    }
-                }
-            }
+        const solver = new MoveSolver(game.gridManager, { timeBudget: HINT_CONFIG.solverBudget });
+        const move = solver.bestMove();
+        if (!move) return null;
+        return { r1: move.row1, c1: move.col1, r2: move.row2, c2: move.col2 };
+    },
+
+    show(hint) {
+        if (!hint) return;
+        this.active = Object.assign({ startTime: performance.now() }, hint);
+        this.boardSignature = this.getBoardSignature();
+
+        const gem1 = game.gridManager.getGem(hint.r1, hint.c1);
+        const gem2 = game.gridManager.getGem(hint.r2, hint.c2);
+        if (gem1 && gem2) {
+            ScreenReaderManager.announce(`Hint: swap the ${ScreenReaderManager.describeGem(gem1)} at row ${hint.r1 + 1}, ` +
+                `column ${hint.c1 + 1} with the ${ScreenReaderManager.describeGem(gem2)} at row ${hint.r2 + 1}, column ${hint.c2 + 1}`);
         }
-        return null; // No moves available
     },
-    
-    wouldMatch(r1, c1, r2, c2) {
-        // Simulate swap
-        const temp = game.grid[r1][c1].type;
-        game.grid[r1][c1].type = game.grid[r2][c2].type;
-        game.grid[r2][c2].type = temp;
-        
-        const hasMatch = game.gridManager.findMatches().length > 0;
-        
-        // Swap back
-        game.grid[r2][c2].type = game.grid[r1][c1].type;
-        game.grid[r1][c1].type = temp;
-        
-        return hasMatch;
+
+    clear() {
+        this.active = null;
+    },
+
+    noteActivity() {
+        this.lastActivity = performance.now();
+    },
+
+    getBoardSignature() {
+        return game.grid.map(row => row.map(gem => gem ? `${gem.type}${gem.powerUpType}` : '.').join('')).join('|');
+    },
+
+    /**
+     * Called every frame: drops a stale hint and shows a free one after
+     * SettingsManager.idleHint seconds without input
+     */
+    update(now) {
+        this.updateButton();
+
+        const playing = game.gameState === GAME_STATE.PLAYING && !ReplayManager.playing;
+        if (!playing || game.isAnimating) {
+            if (game.gameState !== GAME_STATE.PLAYING) this.clear();
+            this.lastActivity = now;
+            return;
+        }
+
+        if (this.active && this.getBoardSignature() !== this.boardSignature) {
+            this.clear();
+            this.lastActivity = now;
+        }
+
+        const idleDelay = SettingsManager.idleHint * 1000;
+        if (!this.active && idleDelay > 0 && now - this.lastActivity >= idleDelay) {
+            this.show(this.findHint());
+            this.lastActivity = now;
+        }
+    },
+
+    updateButton() {
+        const hintBtn = document.getElementById('hint-btn');
+        if (!hintBtn) return;
+        hintBtn.classList.toggle('hidden', game.gameState !== GAME_STATE.PLAYING || !!ReplayManager.playing);
+        const title = `Hint (${this.hintsRemaining} left, H)`;
+        if (hintBtn.title !== title) {
+            hintBtn.title = title;
+            hintBtn.setAttribute('aria-label', title);
+        }
+    },
+
+    /**
+     * Drawing offset for a hinted gem: the pair leans toward each other
+     */
+    getWiggle(row, col) {
+        const hint = this.active;
+        if (!hint) return null;
+
+        let direction;
+        if (row === hint.r1 && col === hint.c1) {
+            direction = 1;
+        } else if (row === hint.r2 && col === hint.c2) {
+            direction = -1;
+        } else {
+            return null;
+        }
+
+        const elapsed = performance.now() - hint.startTime;
+        const lean = Math.sin(elapsed / HINT_CONFIG.wigglePeriod * Math.PI * 2) * HINT_CONFIG.wiggleDistance * direction;
+        return { x: (hint.c2 - hint.c1) * lean, y: (hint.r2 - hint.r1) * lean };
     },
     
     buyHint() {
@@ -1943,66 +2233,1036 @@ const GameModeManager = {
     }
 };
 
-// Sound Manager - Feature #12: Sound Effects
-const SoundManager = {
-    audioContext: null,
-    enabled: true,
-    masterVolume: 0.3,
-    musicVolume: 0.5,
-    sfxVolume: 0.5,
-    
+// Feature #48: Replays
+// With the seed fixed, a game is just its inputs. Every game is recorded as
+// { version, seed, mode, moves, timer, events, result } where each event is
+// [ms since start, type, ...data]:
+//   swap    [r1, c1, r2, c2, timer, scoreAfter, modifiers?]
+//   next / restart [moves, timer]  - a level started
+//   hint    [r1, c1, r2, c2]       - the swap a hint showed
+//   undo / redo                    - assist used
+//   end     [outcome]
+const REPLAY_VERSION = 1;
+const REPLAY_SPEEDS = [0.5, 1, 2, 4];
+const REPLAY_MAX_GAP = 3000; // ms - longer idle gaps are shortened on playback
+
+const ReplayManager = {
+    recording: null,     // Game being recorded
+    startTime: 0,
+    best: {},            // Best finished recording per mode id
+    last: null,          // Most recent finished recording
+    playing: null,       // Playback state { recording, index, elapsed, speed, paused, finished }
+
     init() {
-        // Initialize Web Audio API on first user interaction
-        if (!this.audioContext) {
-            try {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                console.log('Audio context initialized');
-            } catch (e) {
-                console.warn('Web Audio API not supported');
-                this.enabled = false;
-            }
-        }
-        // Resume audio context if suspended (browser policy)
-        if (this.audioContext && this.audioContext.state === 'suspended') {
-            this.audioContext.resume();
+        const saved = localStorage.getItem('threeInRow_replays');
+        if (saved) {
+            const data = JSON.parse(saved);
+            this.best = data.best || {};
+            this.last = data.last || null;
         }
     },
-    
-    play(frequency, duration, type = 'sine', volume = null) {
-        if (!this.enabled || !this.audioContext) return;
-        
-        try {
-            const osc = this.audioContext.createOscillator();
-            const gainNode = this.audioContext.createGain();
-            
-            osc.type = type;
-            osc.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
-            
-            // Apply master and SFX volume
-            const vol = volume !== null ? volume : this.masterVolume;
-            gainNode.gain.setValueAtTime(vol * this.sfxVolume, this.audioContext.currentTime);
-            
-            // Sound envelope - fade out
-            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration);
-            
-            osc.connect(gainNode);
-            gainNode.connect(this.audioContext.destination);
-            
-            osc.start();
-            osc.stop(this.audioContext.currentTime + duration);
-        } catch (e) {
-            // Silently fail if audio fails
-        }
+
+    save() {
+        localStorage.setItem('threeInRow_replays', JSON.stringify({ best: this.best, last: this.last }));
     },
-    
-    // Sound effects
-    select() {
-        // High-pitched blip for gem selection
-        this.play(880, 0.1, 'sine', 0.2);
+
+    now() {
+        return Math.round(performance.now() - this.startTime);
     },
-    
-    swap() {
-        // Swishing sound for swap
+
+    // Begin recording a new game (not while watching one)
+    start(seed) {
+        if (this.playing) return;
+        this.startTime = performance.now();
+        this.recording = {
+            version: REPLAY_VERSION,
+            seed: seed,
+            mode: LevelManager.mode, // The mode actually played, not the one picked in the menu
+            date: Date.now(),
+            moves: game.moves,
+            timer: game.timer,
+            specials: game.startSpecials,
+            spawnRates: game.eventSpawnRates,
+            events: [],
+            result: null
+        };
+    },
+
+    record(type, data = [], time = this.now()) {
+        if (!this.recording) return;
+        this.recording.events.push([time, type, ...data]);
+    },
+
+    // Close the recording and keep it if it is the best run for its mode
+    finish(outcome) {
+        const recording = this.recording;
+        if (!recording) return;
+
+        this.record('end', [outcome]);
+        recording.result = {
+            outcome: outcome,
+            score: game.score,
+            level: game.level,
+            duration: Math.round(this.now() / 1000)
+        };
+        this.recording = null;
+        this.last = recording;
+
+        const best = this.best[recording.mode];
+        if (!best || recording.result.score > best.result.score) {
+            this.best[recording.mode] = recording;
+            console.log(`🎬 New best ${recording.mode} run recorded: ${recording.result.score}`);
+        }
+        this.save();
+    },
+
+    isValid(recording) {
+        return !!recording && recording.version === REPLAY_VERSION &&
+            Number.isInteger(recording.seed) && Array.isArray(recording.events);
+    },
+
+    exportRecording(recording) {
+        const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `three-in-a-row-${recording.mode}-${recording.result ? recording.result.score : 0}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    },
+
+    async importFile(file) {
+        try {
+            const recording = JSON.parse(await file.text());
+            if (!this.isValid(recording)) throw new Error('unsupported replay');
+            this.play(recording);
+        } catch (error) {
+            console.log('Replay import failed:', error.message);
+            showNotification('❌ Not a valid replay file', 2000);
+        }
+    },
+
+    /**
+     * Watch a recording: start its seeded game and feed it the recorded inputs
+     */
+    play(recording) {
+        if (StatsManager.isOpen) StatsManager.toggle();
+        this.finish('quit');
+        this.playing = { recording, index: 0, elapsed: 0, speed: 1, paused: false, finished: false, lastFrame: performance.now() };
+
+        game.pendingSeed = recording.seed;
+        startGame();
+        game.moves = recording.moves;
+        game.timer = recording.timer;
+
+        this.updateControls();
+        console.log(`🎬 Playing replay: seed ${recording.seed}, ${recording.events.length} events`);
+    },
+
+    // Called every frame from gameLoop
+    update(now) {
+        const playback = this.playing;
+        if (!playback) return;
+
+        const delta = now - playback.lastFrame;
+        playback.lastFrame = now;
+        if (playback.paused || playback.finished) return;
+
+        playback.elapsed += delta * playback.speed;
+        const events = playback.recording.events;
+        const event = events[playback.index];
+        if (!event || game.isAnimating) return;
+
+        const previousTime = playback.index > 0 ? events[playback.index - 1][0] : 0;
+        if (playback.elapsed >= Math.min(event[0] - previousTime, REPLAY_MAX_GAP)) {
+            this.step();
+        }
+    },
+
+    // Apply the next recorded event right away
+    step() {
+        const playback = this.playing;
+        if (!playback || playback.finished || game.isAnimating) return;
+
+        const event = playback.recording.events[playback.index++];
+        playback.elapsed = 0;
+        if (!event) {
+            this.finishPlayback();
+            return;
+        }
+
+        const [, type, ...data] = event;
+        switch (type) {
+            case 'swap': {
+                const [r1, c1, r2, c2, timer, scoreAfter, modifiers] = data;
+                game.timer = timer;
+                const gem1 = game.gridManager.getGem(r1, c1);
+                const gem2 = game.gridManager.getGem(r2, c2);
+                if (!gem1 || !gem2) break;
+                swapGems(gem1, gem2, modifiers || []).then(() => {
+                    // Flags "it scored wrong" - the same inputs should give the same score
+                    if (game.score !== scoreAfter) {
+                        console.log(`⚠️ Replay diverged at event ${playback.index}: score ${game.score}, recorded ${scoreAfter}`);
+                    }
+                });
+                break;
+            }
+            case 'next':
+            case 'restart':
+                if (type === 'next') {
+                    startNextLevel();
+                } else {
+                    restartLevel();
+                }
+                game.moves = data[0];
+                game.timer = data[1];
+                break;
+            case 'hint': {
+                // The solver stops at a time budget, so show the swap the player was shown
+                const [r1, c1, r2, c2] = data;
+                if (data.length === 4) HintManager.show({ r1, c1, r2, c2 });
+                break;
+            }
+            case 'undo':
+                UndoManager.undo(true);
+                break;
+            case 'redo':
+                UndoManager.redo(true);
+                break;
+            case 'end':
+                this.finishPlayback();
+                break;
+        }
+        this.updateControls();
+    },
+
+    finishPlayback() {
+        this.playing.finished = true;
+        this.updateControls();
+        showNotification(`🎬 Replay finished - Score: ${game.score}`, 2000);
+    },
+
+    togglePaused() {
+        if (!this.playing || this.playing.finished) return;
+        this.playing.paused = !this.playing.paused;
+        this.updateControls();
+    },
+
+    cycleSpeed() {
+        if (!this.playing) return;
+        const index = REPLAY_SPEEDS.indexOf(this.playing.speed);
+        this.playing.speed = REPLAY_SPEEDS[(index + 1) % REPLAY_SPEEDS.length];
+        this.updateControls();
+    },
+
+    // Leave playback and go back to the menu
+    stop() {
+        if (!this.playing) return;
+        this.playing = null;
+        this.updateControls();
+        returnToMenu();
+    },
+
+    // Space plays/pauses, Right steps, +/- change speed, Escape exits
+    handleKey(e) {
+        if (e.key === ' ') {
+            this.togglePaused();
+        } else if (e.key === 'ArrowRight') {
+            this.step();
+        } else if (e.key === '+' || e.key === '-') {
+            this.cycleSpeed();
+        } else if (e.key === 'Escape') {
+            this.stop();
+        } else if (!this.isBoardKey(e)) {
+            return false;
+        }
+        // Board and assist keys are swallowed - they'd change the game being watched
+        return true;
+    },
+
+    // Cursor, select, hint, pause and undo/redo keys
+    isBoardKey(e) {
+        if (e.ctrlKey || e.metaKey) {
+            return ['z', 'Z', 'y', 'Y'].includes(e.key);
+        }
+        return !!KEYBOARD_DIRECTIONS[e.key] || ['Enter', 'h', 'H', 'p', 'P'].includes(e.key);
+    },
+
+    updateControls() {
+        const controls = document.getElementById('replay-controls');
+        if (!controls) return;
+        controls.classList.toggle('hidden', !this.playing);
+        if (!this.playing) return;
+
+        const playback = this.playing;
+        document.getElementById('replay-play').textContent = playback.paused || playback.finished ? '▶️' : '⏸️';
+        document.getElementById('replay-speed').textContent = `${playback.speed}x`;
+        document.getElementById('replay-progress').textContent =
+            `${Math.min(playback.index, playback.recording.events.length)}/${playback.recording.events.length}`;
+    },
+
+    /**
+     * Best run per mode (and the last game) in the statistics modal
+     */
+    render() {
+        const listEl = document.getElementById('replay-list');
+        if (!listEl) return;
+        listEl.innerHTML = '';
+
+        const runs = GameModeManager.modes
+            .filter(mode => this.best[mode.id])
+            .map(mode => ({ title: `${mode.icon} Best ${mode.name}`, recording: this.best[mode.id] }));
+        if (this.last) runs.push({ title: '🕹️ Last game', recording: this.last });
+
+        if (runs.length === 0) {
+            listEl.innerHTML = '<div class="stat-row"><span class="stat-label">No games recorded yet</span></div>';
+            return;
+        }
+
+        for (const run of runs) {
+            const result = run.recording.result;
+            const div = document.createElement('div');
+            div.className = 'stat-row replay-row';
+            div.innerHTML = `
+                <span class="stat-label">${run.title}</span>
+                <span class="stat-value">${result.score.toLocaleString()} · Lv ${result.level}</span>
+                <button class="replay-watch" title="Watch">▶️</button>
+                <button class="replay-export" title="Export">⬇️</button>
+            `;
+            div.querySelector('.replay-watch').addEventListener('click', () => this.play(run.recording));
+            div.querySelector('.replay-export').addEventListener('click', () => this.exportRecording(run.recording));
+            listEl.appendChild(div);
+        }
+    },
+
+    bindControls() {
+        const bind = (id, handler) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', handler);
+        };
+        bind('replay-play', () => this.togglePaused());
+        bind('replay-step', () => this.step());
+        bind('replay-speed', () => this.cycleSpeed());
+        bind('replay-exit', () => this.stop());
+
+        const fileInput = document.getElementById('replay-file');
+        bind('import-replay', () => fileInput && fileInput.click());
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+    }
+};
+
+// Feature #49: Level definitions
+// Levels are JSON in the format validateLevel() checks (engine.js). Each mode has
+// a pack of levels; packs listed in levels/index.json add to the built-in ones
+// when the game is served over HTTP, so new levels need no code changes.
+const LEVEL_PACK_INDEX = 'levels/index.json';
+const UNLIMITED_MOVES = 999;
+const UNLIMITED_TIME = 999999;
+
+// Per mode: levels in order; past the last one the score target rises by scoreStep a level
+const BUILTIN_LEVEL_PACKS = {
+    classic: {
+        scoreStep: 12500,
+        levels: [{ id: 'classic', name: 'Classic', moves: 30, time: 60, objectives: [{ type: 'score', target: 25000 }] }]
+    },
+    puzzle: { scoreStep: 0, levels: PUZZLE_LEVELS },
+    endless: {
+        scoreStep: 0,
+        levels: [{ id: 'endless', name: 'Endless', moves: 30, time: null, objectives: [] }]
+    },
+    rush: {
+        scoreStep: 0,
+        levels: [{ id: 'rush', name: 'Timed Rush', moves: null, time: 60, objectives: [] }]
+    }
+};
+
+const LevelManager = {
+    packs: {},           // mode id -> { scoreStep, levels } (validated)
+    mode: 'classic',     // Pack the current game plays through
+    current: null,       // Level on the board
+
+    init() {
+        for (const [mode, pack] of Object.entries(BUILTIN_LEVEL_PACKS)) {
+            this.registerPack(mode, pack, 'built-in');
+        }
+        this.load();
+    },
+
+    /**
+     * Fetch the packs in levels/index.json; opened from file:// this fails
+     * quietly and the built-in levels are played
+     */
+    async load() {
+        try {
+            const index = await this.fetchJSON(LEVEL_PACK_INDEX);
+            for (const file of index.packs || []) {
+                try {
+                    const pack = await this.fetchJSON(`levels/${file}`);
+                    this.registerPack(pack.mode, pack, file);
+                } catch (error) {
+                    console.log(`⚠️ Level pack ${file} not loaded: ${error.message}`);
+                }
+            }
+        } catch (error) {
+            console.log(`📁 No level packs loaded (${error.message}) - playing the built-in levels`);
+        }
+    },
+
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+        return response.json();
+    },
+
+    /**
+     * Validate a pack's levels and add the good ones to its mode
+     * Returns the number of levels added; problems are logged per level
+     */
+    registerPack(mode, pack, source) {
+        if (!BUILTIN_LEVEL_PACKS[mode] || !pack || !Array.isArray(pack.levels)) {
+            console.log(`⚠️ ${source}: a pack needs a known mode (${Object.keys(BUILTIN_LEVEL_PACKS).join(', ')}) and a levels list`);
+            return 0;
+        }
+
+        const target = this.packs[mode] || (this.packs[mode] = { scoreStep: 0, levels: [] });
+        if (typeof pack.scoreStep === 'number') target.scoreStep = pack.scoreStep;
+
+        let added = 0;
+        pack.levels.forEach((definition, i) => {
+            const { level, errors } = validateLevel(definition);
+            if (level && this.findLevel(mode, level.id)) {
+                errors.push(`id ${level.id} is already used in ${mode}`);
+            }
+            if (errors.length > 0) {
+                console.log(`⚠️ ${source}: level ${i + 1} skipped - ${errors.join('; ')}`);
+                return;
+            }
+            target.levels.push(level);
+            added++;
+        });
+
+        if (source !== 'built-in') console.log(`🗺️ ${source}: ${added} ${mode} level(s) added`);
+        return added;
+    },
+
+    getLevels(mode) {
+        return this.packs[mode] ? this.packs[mode].levels : [];
+    },
+
+    findLevel(mode, id) {
+        return this.getLevels(mode).find(level => level.id === id) || null;
+    },
+
+    /**
+     * Level `number` (from 1) of a mode; past the end the last level repeats
+     * with its score target and stars raised by the pack's scoreStep
+     */
+    getLevel(mode, number) {
+        const pack = this.packs[mode] || this.packs.classic;
+        const levels = pack.levels;
+        if (number <= levels.length) return levels[number - 1];
+
+        const last = levels[levels.length - 1];
+        const raise = pack.scoreStep * (number - levels.length);
+        return Object.assign({}, last, {
+            objectives: last.objectives.map(objective =>
+                objective.type === 'score' ? Object.assign({}, objective, { target: objective.target + raise }) : objective),
+            stars: last.stars.map(stars => stars + raise)
+        });
+    },
+
+    startLevel(mode, number) {
+        return this.apply(this.getLevel(mode, number), mode);
+    },
+
+    /**
+     * Put a level on the board: size, colors and layout from the level, the
+     * board seeded from the game seed; moves, target and objectives set on game
+     */
+    apply(level, mode = this.mode) {
+        this.mode = mode;
+        this.current = level;
+
+        this.setBoardSize(level.rows, level.cols);
+        game.gridManager.loadLevel(level, levelSeed());
+        GemTypeManager.setSpawnRates(game.eventSpawnRates);
+        game.grid = game.gridManager.getGrid();
+        game.selectedGem = null;
+
+        const scoreObjective = level.objectives.find(objective => objective.type === 'score');
+        game.targetScore = scoreObjective ? scoreObjective.target : 0;
+        game.objectives = level.objectives;
+        game.objectiveProgress = startObjectives(level.objectives, game);
+        game.moves = level.moves === null ? UNLIMITED_MOVES : ShopManager.getBonusMoves(level.moves);
+        return level;
+    },
+
+    // Smaller boards sit centered where the full-size board would be
+    setBoardSize(rows, cols) {
+        CONFIG.gridRows = rows;
+        CONFIG.gridCols = cols;
+        CONFIG.gridOffsetX = BOARD_ORIGIN.x + (LEVEL_LIMITS.maxSize - cols) * CONFIG.gemSize / 2;
+        CONFIG.gridOffsetY = BOARD_ORIGIN.y + (LEVEL_LIMITS.maxSize - rows) * CONFIG.gemSize / 2;
+        KeyboardManager.cursor.row = Math.min(KeyboardManager.cursor.row, rows - 1);
+        KeyboardManager.cursor.col = Math.min(KeyboardManager.cursor.col, cols - 1);
+    },
+
+    isTimed() {
+        return !this.current || this.current.time !== null;
+    },
+
+    // Seconds on the clock when the level starts, shop bonuses included
+    getTimeLimit() {
+        if (!this.isTimed()) return UNLIMITED_TIME;
+        return ShopManager.getBonusTime(this.current ? this.current.time : undefined);
+    }
+};
+
+// Feature #50: Level Editor
+// Paints a level onto the canvas board, checks it with validateLevel() on every
+// change, test-plays it and imports/exports it as a level pack (Feature #49)
+const EDITOR_NEW_LEVEL = {
+    id: 'custom-1',
+    name: 'Custom Level',
+    rows: 8,
+    cols: 8,
+    moves: 20,
+    time: null,
+    objectives: [{ type: 'score', target: 60000 }],
+    stars: [60000, 80000, 110000]
+};
+
+// An editor cell: gem color, special, Feature #52 blocker strengths and a Feature #53 hole
+function createEditorCell(type) {
+    const layers = {};
+    Object.values(BLOCKER_TYPES).forEach(blocker => { layers[blocker] = 0; });
+    return { type: type, powerUpType: POWERUP_TYPES.NONE, layers: layers, hole: false };
+}
+
+// Paint tools; each changes one editor cell (see createEditorCell)
+// Only tools marked onHoles do anything to a hole
+function getEditorTools() {
+    const colorNames = getPalette().colorNames;
+    const tools = getGemColors().map((color, type) => ({
+        id: `color-${type}`, name: `${colorNames[type]} gem`, label: '●', color: color, onHoles: true,
+        paint: cell => { cell.type = type; cell.hole = false; }
+    }));
+
+    for (const special of Object.values(SPECIAL_GEMS)) {
+        if (special.id === POWERUP_TYPES.NONE) continue;
+        tools.push({
+            id: `special-${special.id}`, name: special.name, label: special.icon || '★',
+            paint: cell => { cell.powerUpType = special.id; }
+        });
+    }
+
+    tools.push({
+        id: 'plain', name: 'Remove special', label: '○',
+        paint: cell => { cell.powerUpType = POWERUP_TYPES.NONE; }
+    });
+
+    // Feature #52: Each click adds a layer, past the strongest back to none
+    for (const [blocker, look] of Object.entries(BLOCKER_LOOKS)) {
+        tools.push({
+            id: `blocker-${blocker}`, name: look.name, label: look.icon,
+            paint: cell => { cell.layers[blocker] = (cell.layers[blocker] + 1) % (BLOCKER_CONFIG.maxStrength + 1); }
+        });
+    }
+    tools.push({
+        id: 'no-blockers', name: 'Remove blockers', label: '⬜',
+        paint: cell => { Object.keys(cell.layers).forEach(blocker => { cell.layers[blocker] = 0; }); }
+    });
+
+    // Feature #53: Cut the cell out of the board, or put it back
+    tools.push({
+        id: 'hole', name: 'Hole', label: '◌', onHoles: true,
+        paint: cell => {
+            cell.hole = !cell.hole;
+            cell.powerUpType = POWERUP_TYPES.NONE;
+            Object.keys(cell.layers).forEach(blocker => { cell.layers[blocker] = 0; });
+        }
+    });
+    return tools;
+}
+
+const EditorManager = {
+    level: null,          // Level fields being edited; the board lives in cells
+    cells: [],            // cells[row][col] = { type, powerUpType, layers, hole }
+    tool: 'color-0',
+    errors: [],
+    testing: false,       // Test-playing; leaving the game comes back here
+
+    open() {
+        if (this.testing) {
+            this.testing = false;
+            stopTimer();
+        }
+        if (!this.level) this.load(EDITOR_NEW_LEVEL);
+
+        game.gameState = GAME_STATE.EDITOR;
+        game.isAnimating = false;
+        game.selectedGem = null;
+        const overlayBtn = document.getElementById('start-button-overlay');
+        if (overlayBtn) overlayBtn.style.display = 'none';
+
+        this.setPanelVisible(true);
+        this.renderGoalOptions();
+        this.writeFields();
+        this.renderTools();
+        this.refresh();
+        console.log('🛠️ Level editor opened');
+    },
+
+    close() {
+        this.setPanelVisible(false);
+        returnToMenu();
+    },
+
+    setPanelVisible(visible) {
+        const panel = document.getElementById('editor-panel');
+        if (panel) panel.classList.toggle('hidden', !visible);
+    },
+
+    /**
+     * Edit a level definition; a missing or mis-sized layout is filled at random
+     */
+    load(definition) {
+        const level = Object.assign({}, LEVEL_DEFAULTS, definition);
+        this.level = level;
+
+        const fits = lines => Array.isArray(lines) && lines.length === level.rows &&
+            lines.every(line => typeof line === 'string' && line.length === level.cols);
+        const mask = fits(level.mask) ? level.mask : null;
+        if (fits(level.layout)) {
+            const filler = Array.isArray(level.colors) && level.colors.length > 0 ? level.colors[0] : LEVEL_DEFAULTS.colors[0];
+            this.cells = level.layout.map(line => [...line].map(cell => createEditorCell(cell === '.' ? filler : Number(cell))));
+        } else {
+            this.randomize(mask);
+        }
+        if (mask) {
+            this.cells.forEach((line, row) => line.forEach((cell, col) => { cell.hole = mask[row][col] === '.'; }));
+        }
+
+        for (const special of Array.isArray(level.specials) ? level.specials : []) {
+            const cell = this.cells[special.row] && this.cells[special.row][special.col];
+            if (cell) cell.powerUpType = special.type;
+        }
+        for (const blocker of Array.isArray(level.blockers) ? level.blockers : []) {
+            const cell = blocker && this.cells[blocker.row] && this.cells[blocker.row][blocker.col];
+            if (cell && blocker.type in cell.layers) cell.layers[blocker.type] = blocker.strength || 1;
+        }
+    },
+
+    /**
+     * A fresh playable board in the level's colors, specials cleared
+     * Feature #53: Holes stay, as long as the shape leaves room for a move
+     */
+    randomize(mask = this.getMask()) {
+        const board = new MatchEngine(this.level.rows, this.level.cols, GEM_COLORS.length);
+        const colors = Array.isArray(this.level.colors) && this.level.colors.length >= LEVEL_LIMITS.minColors ? this.level.colors : LEVEL_DEFAULTS.colors;
+        board.colorWeights = colors.map(type => ({ type: type, weight: 1 }));
+        board.setMask(mask);
+        if (!board.hasRoomForMove()) board.setMask(null);
+        board.initialize();
+        this.cells = board.grid.map((line, row) => line.map((gem, col) => {
+            const cell = createEditorCell(gem ? gem.type : colors[0]);
+            cell.hole = board.isHole(row, col);
+            return cell;
+        }));
+    },
+
+    /**
+     * Change the board size, keeping the cells that still fit
+     */
+    resize(rows, cols) {
+        const rng = new SeededRandom();
+        const colors = this.getColors();
+        this.cells = Array.from({ length: rows }, (_, row) => Array.from({ length: cols }, (_, col) =>
+            (this.cells[row] && this.cells[row][col]) || createEditorCell(rng.pick(colors))));
+        this.level.rows = rows;
+        this.level.cols = cols;
+    },
+
+    // Colors painted on the board are the colors the level uses
+    getColors() {
+        const colors = [...new Set(this.cells.flat().filter(cell => !cell.hole).map(cell => cell.type))].sort();
+        return colors.length > 0 ? colors : LEVEL_DEFAULTS.colors;
+    },
+
+    // Feature #53: The board's shape as a level mask; null without holes
+    getMask() {
+        if (!this.cells.some(line => line.some(cell => cell.hole))) return null;
+        return this.cells.map(line => line.map(cell => cell.hole ? '.' : '#').join(''));
+    },
+
+    /**
+     * The level definition as it would be saved
+     */
+    toLevel() {
+        const specials = [];
+        const blockers = [];
+        this.cells.forEach((line, row) => line.forEach((cell, col) => {
+            if (cell.powerUpType !== POWERUP_TYPES.NONE) specials.push({ row: row, col: col, type: cell.powerUpType });
+            for (const [blocker, strength] of Object.entries(cell.layers)) {
+                if (strength > 0) blockers.push({ row: row, col: col, type: blocker, strength: strength });
+            }
+        }));
+
+        return Object.assign({ id: this.level.id }, this.level, {
+            rows: this.cells.length,
+            cols: this.cells[0].length,
+            mask: this.getMask(),
+            layout: this.cells.map(line => line.map(cell => cell.hole ? '.' : cell.type).join('')),
+            colors: this.getColors(),
+            specials: specials,
+            blockers: blockers
+        });
+    },
+
+    getTool() {
+        return getEditorTools().find(tool => tool.id === this.tool) || getEditorTools()[0];
+    },
+
+    paint(row, col) {
+        const cell = this.cells[row] && this.cells[row][col];
+        const tool = this.getTool();
+        if (!cell || (cell.hole && !tool.onHoles)) return;
+
+        // Painting over the last gem of a color can't take the board below the minimum
+        const colorCount = this.getColors().length;
+        const before = Object.assign({}, cell, { layers: Object.assign({}, cell.layers) });
+        tool.paint(cell);
+        if (this.getColors().length < Math.min(colorCount, LEVEL_LIMITS.minColors)) {
+            Object.assign(cell, before);
+            showNotification(`🎨 Levels need at least ${LEVEL_LIMITS.minColors} colors`, 1500);
+            return;
+        }
+        this.refresh();
+    },
+
+    paintAt(point) {
+        const col = Math.floor((point.x - CONFIG.gridOffsetX) / CONFIG.gemSize);
+        const row = Math.floor((point.y - CONFIG.gridOffsetY) / CONFIG.gemSize);
+        this.paint(row, col);
+    },
+
+    /**
+     * Show the edited board on the canvas and re-check the level
+     */
+    refresh() {
+        const rows = this.cells.length;
+        const cols = this.cells[0].length;
+        LevelManager.setBoardSize(rows, cols);
+
+        const level = this.toLevel();
+        const board = game.gridManager;
+        board.rows = rows;
+        board.cols = cols;
+        board.setMask(level.mask);
+        board.setBlockers(level.blockers);
+        board.grid = this.cells.map((line, row) => line.map((cell, col) =>
+            board.isSolid(row, col) ? null : board.createGem(row, col, cell.type, cell.powerUpType)));
+        game.grid = board.getGrid();
+        game.gridInitialized = true;
+
+        this.errors = validateLevel(level).errors;
+        this.renderErrors();
+    },
+
+    renderErrors() {
+        const listEl = document.getElementById('editor-errors');
+        if (listEl) {
+            listEl.classList.toggle('valid', this.errors.length === 0);
+            listEl.innerHTML = '';
+            for (const error of this.errors.length > 0 ? this.errors : ['✅ Level is valid']) {
+                const item = document.createElement('li');
+                item.textContent = error;
+                listEl.appendChild(item);
+            }
+        }
+        const testBtn = document.getElementById('editor-test');
+        if (testBtn) testBtn.disabled = this.errors.length > 0;
+    },
+
+    renderTools() {
+        const toolsEl = document.getElementById('editor-tools');
+        if (!toolsEl) return;
+        toolsEl.innerHTML = '';
+
+        for (const tool of getEditorTools()) {
+            const button = document.createElement('button');
+            button.textContent = tool.label;
+            button.title = tool.name;
+            button.setAttribute('aria-label', tool.name);
+            button.setAttribute('aria-pressed', tool.id === this.tool ? 'true' : 'false');
+            if (tool.color) button.style.color = tool.color;
+            button.addEventListener('click', () => {
+                this.tool = tool.id;
+                this.renderTools();
+            });
+            toolsEl.appendChild(button);
+        }
+    },
+
+    /**
+     * Feature #51: The goal picker edits the level's first objective besides score
+     */
+    renderGoalOptions() {
+        const goalSelect = document.getElementById('editor-goal');
+        const colorSelect = document.getElementById('editor-goal-color');
+        if (!goalSelect || !colorSelect) return;
+
+        const goals = Object.values(OBJECTIVES).filter(objective => objective.id !== 'score');
+        goalSelect.innerHTML = ['<option value="">None</option>',
+            ...goals.map(objective => `<option value="${objective.id}">${objective.icon} ${objective.name}</option>`)].join('');
+        colorSelect.innerHTML = getPalette().colorNames
+            .map((name, type) => `<option value="${type}">${name}</option>`).join('');
+    },
+
+    getGoal() {
+        return (this.level.objectives || []).find(objective => objective.type !== 'score') || null;
+    },
+
+    readGoal() {
+        const goalSelect = document.getElementById('editor-goal');
+        const colorSelect = document.getElementById('editor-goal-color');
+        if (!goalSelect || goalSelect.value === '') return null;
+
+        const previous = this.getGoal();
+        const goal = Object.assign({}, previous && previous.type === goalSelect.value ? previous : {}, {
+            type: goalSelect.value,
+            target: this.readNumber('editor-goal-target')
+        });
+        if (goal.type === 'collect' && colorSelect) goal.color = Number(colorSelect.value);
+        // Left blank, goals like 'blockers' count everything on the board
+        if (goal.target === null && OBJECTIVES[goal.type].defaultTarget) delete goal.target;
+        return goal;
+    },
+
+    // The color picker only matters for collect goals
+    updateGoalFields(type) {
+        const colorSelect = document.getElementById('editor-goal-color');
+        if (colorSelect) colorSelect.hidden = type !== 'collect';
+    },
+
+    // Number inputs: blank means null (no limit)
+    readNumber(id) {
+        const input = document.getElementById(id);
+        if (!input || input.value.trim() === '') return null;
+        return Number(input.value);
+    },
+
+    writeFields() {
+        const level = this.level;
+        const scoreObjective = (level.objectives || []).find(objective => objective.type === 'score');
+        const values = {
+            'editor-id': level.id,
+            'editor-name': level.name,
+            'editor-rows': level.rows,
+            'editor-cols': level.cols,
+            'editor-moves': level.moves,
+            'editor-time': level.time,
+            'editor-target': scoreObjective ? scoreObjective.target : null
+        };
+        (level.stars || []).forEach((stars, i) => { values[`editor-star-${i}`] = stars; });
+        const goal = this.getGoal();
+        values['editor-goal'] = goal ? goal.type : '';
+        values['editor-goal-color'] = goal && goal.type === 'collect' ? goal.color : 0;
+        values['editor-goal-target'] = goal ? goal.target : null;
+        this.updateGoalFields(goal ? goal.type : '');
+
+        for (const [id, value] of Object.entries(values)) {
+            const input = document.getElementById(id);
+            if (input) input.value = value === null || value === undefined ? '' : value;
+        }
+    },
+
+    readFields() {
+        const idInput = document.getElementById('editor-id');
+        const nameInput = document.getElementById('editor-name');
+        if (idInput) {
+            const id = idInput.value.trim();
+            // Puzzle packs number their levels
+            this.level.id = /^\d+$/.test(id) ? Number(id) : id;
+        }
+        if (nameInput) this.level.name = nameInput.value;
+
+        this.level.moves = this.readNumber('editor-moves');
+        this.level.time = this.readNumber('editor-time');
+        const target = this.readNumber('editor-target');
+        const goal = this.readGoal();
+        // Objectives past the first goal (from an imported file) are kept as they are
+        const otherGoals = (this.level.objectives || []).filter(objective => objective.type !== 'score').slice(1);
+        this.level.objectives = [
+            ...(target === null ? [] : [{ type: 'score', target: target }]),
+            ...(goal ? [goal] : []),
+            ...otherGoals
+        ];
+        this.updateGoalFields(goal ? goal.type : '');
+        this.level.stars = [0, 1, 2].map(i => this.readNumber(`editor-star-${i}`));
+
+        const rows = this.readNumber('editor-rows');
+        const cols = this.readNumber('editor-cols');
+        const sizeOk = size => Number.isInteger(size) && size >= LEVEL_LIMITS.minSize && size <= LEVEL_LIMITS.maxSize;
+        if (sizeOk(rows) && sizeOk(cols) && (rows !== this.cells.length || cols !== this.cells[0].length)) {
+            this.resize(rows, cols);
+        }
+        this.refresh();
+    },
+
+    testPlay() {
+        const { level, errors } = validateLevel(this.toLevel());
+        if (!level) {
+            showNotification(`❌ ${errors[0]}`, 2500);
+            return;
+        }
+
+        this.testing = true;
+        this.setPanelVisible(false);
+        game.gameState = GAME_STATE.PLAYING;
+        game.score = 0;
+        game.level = 1;
+        game.isAnimating = false;
+
+        beginNewGame();
+        LevelManager.apply(level, 'editor');
+        UndoManager.reset();
+        resetTimer();
+        startTimer();
+        console.log(`▶️ Test-playing ${level.name}`);
+    },
+
+    /**
+     * Download the level as a one-level pack, ready for levels/index.json
+     */
+    exportLevel() {
+        const level = this.toLevel();
+        const pack = { mode: 'puzzle', levels: [level] };
+        const blob = new Blob([JSON.stringify(pack, null, 4)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `level-${level.id}.json`;
+        link.click();
+        URL.revokeObjectURL(link.href);
+    },
+
+    /**
+     * Edit a level file: a single level or the first level of a pack
+     */
+    async importFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const definition = Array.isArray(data.levels) ? data.levels[0] : data;
+            const level = Object.assign({}, LEVEL_DEFAULTS, definition);
+            const sizeOk = size => Number.isInteger(size) && size >= LEVEL_LIMITS.minSize && size <= LEVEL_LIMITS.maxSize;
+            if (!definition || !sizeOk(level.rows) || !sizeOk(level.cols)) throw new Error('no level with a usable board size');
+
+            this.load(definition);
+            this.writeFields();
+            this.refresh();
+            showNotification(`📂 Loaded ${this.level.name}`, 1500);
+        } catch (error) {
+            console.log('Level import failed:', error.message);
+            showNotification('❌ Not a valid level file', 2000);
+        }
+    },
+
+    bindControls() {
+        const bind = (id, handler) => {
+            const el = document.getElementById(id);
+            if (el) el.addEventListener('click', handler);
+        };
+        bind('editor-randomize', () => {
+            this.randomize();
+            this.refresh();
+        });
+        bind('editor-new', () => {
+            this.load(EDITOR_NEW_LEVEL);
+            this.writeFields();
+            this.refresh();
+        });
+        bind('editor-test', () => this.testPlay());
+        bind('editor-export', () => this.exportLevel());
+        bind('editor-exit', () => this.close());
+
+        const fields = document.getElementById('editor-fields');
+        if (fields) fields.addEventListener('change', () => this.readFields());
+
+        const fileInput = document.getElementById('editor-file');
+        bind('editor-import', () => fileInput && fileInput.click());
+        if (fileInput) {
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files[0]) this.importFile(fileInput.files[0]);
+                fileInput.value = '';
+            });
+        }
+    }
+};
+
+// Sound Manager - Feature #12: Sound Effects
+const SoundManager = {
+    audioContext: null,
+    enabled: true,
+    masterVolume: 0.3,
+    musicVolume: 0.5,
+    sfxVolume: 0.5,
+    
+    init() {
+        // Initialize Web Audio API on first user interaction
+        if (!this.audioContext) {
+            try {
+                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+                console.log('Audio context initialized');
+            } catch (e) {
+                console.warn('Web Audio API not supported');
+                this.enabled = false;
+            }
+        }
+        // Resume audio context if suspended (browser policy)
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+    },
+    
+    play(frequency, duration, type = 'sine', volume = null) {
+        if (!this.enabled || !this.audioContext) return;
+        
+        try {
+            const osc = this.audioContext.createOscillator();
+            const gainNode = this.audioContext.createGain();
+            
+            osc.type = type;
+            osc.frequency.setValueAtTime(frequency, this.audioContext.currentTime);
+            
+            // Apply master and SFX volume
+            const vol = volume !== null ? volume : this.masterVolume;
+            gainNode.gain.setValueAtTime(vol * this.sfxVolume, this.audioContext.currentTime);
+            
+            // Sound envelope - fade out
+            gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + duration);
+            
+            osc.connect(gainNode);
+            gainNode.connect(this.audioContext.destination);
+            
+            osc.start();
+            osc.stop(this.audioContext.currentTime + duration);
+        } catch (e) {
+            // Silently fail if audio fails
+        }
+    },
+    
+    // Sound effects
+    select() {
+        // High-pitched blip for gem selection
+        this.play(880, 0.1, 'sine', 0.2);
+    },
+    
+    swap() {
+        // Swishing sound for swap
         this.play(440, 0.15, 'triangle', 0.15);
     },
     
@@ -2081,6 +3341,27 @@ const SoundManager = {
 // Feature #18: Settings Modal
 const SettingsManager = {
     isOpen: false,
+    palette: 'classic',   // Key into GEM_PALETTES
+    glyphs: false,        // Colorblind mode: draw a glyph per gem type
+    idleHint: 10,         // Seconds without input before a free hint (0 = off)
+
+    load() {
+        const saved = localStorage.getItem('threeInRow_settings');
+        if (saved) {
+            const data = JSON.parse(saved);
+            this.palette = GEM_PALETTES[data.palette] ? data.palette : 'classic';
+            this.glyphs = !!data.glyphs;
+            if (HINT_CONFIG.idleDelays.includes(data.idleHint)) this.idleHint = data.idleHint;
+        }
+    },
+
+    save() {
+        localStorage.setItem('threeInRow_settings', JSON.stringify({
+            palette: this.palette,
+            glyphs: this.glyphs,
+            idleHint: this.idleHint
+        }));
+    },
     
     toggle() {
         this.isOpen = !this.isOpen;
@@ -2092,6 +3373,8 @@ const SettingsManager = {
     },
     
     init() {
+        this.load();
+
         const modal = document.getElementById('settings-modal');
         if (!modal) return;
         
@@ -2123,6 +3406,42 @@ const SettingsManager = {
             });
         }
         
+        // Gem palette
+        const paletteSelect = document.getElementById('palette-select');
+        if (paletteSelect) {
+            paletteSelect.innerHTML = Object.entries(GEM_PALETTES)
+                .map(([key, palette]) => `<option value="${key}">${palette.name}</option>`)
+                .join('');
+            paletteSelect.value = this.palette;
+            paletteSelect.addEventListener('change', (e) => {
+                this.palette = e.target.value;
+                this.save();
+            });
+        }
+
+        // Colorblind mode glyphs
+        const glyphsToggle = document.getElementById('glyphs-toggle');
+        if (glyphsToggle) {
+            glyphsToggle.checked = this.glyphs;
+            glyphsToggle.addEventListener('change', (e) => {
+                this.glyphs = e.target.checked;
+                this.save();
+            });
+        }
+        
+        // Free hint after idling
+        const idleHintSelect = document.getElementById('idle-hint-select');
+        if (idleHintSelect) {
+            idleHintSelect.innerHTML = HINT_CONFIG.idleDelays
+                .map(seconds => `<option value="${seconds}">${seconds ? `After ${seconds}s` : 'Off'}</option>`)
+                .join('');
+            idleHintSelect.value = this.idleHint;
+            idleHintSelect.addEventListener('change', (e) => {
+                this.idleHint = Number(e.target.value);
+                this.save();
+            });
+        }
+        
         // Reset progress button
         const resetBtn = document.getElementById('reset-progress');
         if (resetBtn) {
@@ -2241,7 +3560,7 @@ ShopManager.render = function() {
         
         if (canAfford) {
             div.querySelector('button').addEventListener('click', () => {
-                this.buy(item.id);
+                this.buy(key);
                 this.render();
             });
         }
@@ -2307,8 +3626,10 @@ LeaderboardManager.render = function() {
     });
 };
 
+// Each modal manager's init loads saved state with the object's own init, then wires up its modal
+const loadLeaderboard = LeaderboardManager.init;
 LeaderboardManager.init = function() {
-    this.init();
+    loadLeaderboard.call(this);
     const modal = document.getElementById('leaderboard-modal');
     if (modal) {
         const closeBtn = document.getElementById('close-leaderboard');
@@ -2372,8 +3693,9 @@ ChallengeManager.render = function() {
     });
 };
 
+const loadChallenge = ChallengeManager.init;
 ChallengeManager.init = function() {
-    this.init();
+    loadChallenge.call(this);
     const modal = document.getElementById('challenges-modal');
     if (modal) {
         const closeBtn = document.getElementById('close-challenges');
@@ -2412,8 +3734,9 @@ EventManager.render = function() {
     }
 };
 
+const loadEvent = EventManager.init;
 EventManager.init = function() {
-    this.init();
+    loadEvent.call(this);
     const modal = document.getElementById('events-modal');
     if (modal) {
         const closeBtn = document.getElementById('close-events');
@@ -2460,8 +3783,9 @@ QuestManager.render = function() {
     progressEl.innerHTML = `<p>Progress: ${progress}/${quest.target}</p>`;
 };
 
+const loadQuest = QuestManager.init;
 QuestManager.init = function() {
-    this.init();
+    loadQuest.call(this);
     const modal = document.getElementById('quests-modal');
     if (modal) {
         const closeBtn = document.getElementById('close-quests');
@@ -2480,7 +3804,8 @@ DailySpinManager.toggle = function() {
     }
 };
 
-DailySpinManager.spin = function() {
+// Spin button: rolls with the next reward stream (see rewardRng)
+DailySpinManager.handleSpin = function() {
     const btn = document.getElementById('spin-btn');
     if (!this.canSpin()) {
         btn.disabled = true;
@@ -2488,7 +3813,7 @@ DailySpinManager.spin = function() {
         return;
     }
     
-    const result = this.spin();
+    const result = this.spin(rewardRng());
     if (result) {
         const resultEl = document.getElementById('spin-result');
         resultEl.innerHTML = `${result.icon} +${result.value} ${result.type === 'coins' ? 'Coins' : result.type === 'gems' ? 'Gems' : result.type}!`;
@@ -2497,15 +3822,16 @@ DailySpinManager.spin = function() {
     }
 };
 
+const loadDailySpin = DailySpinManager.init;
 DailySpinManager.init = function() {
-    this.init();
+    loadDailySpin.call(this);
     const modal = document.getElementById('daily-spin-modal');
     if (modal) {
         const spinBtn = document.getElementById('spin-btn');
         const closeBtn = document.getElementById('close-spin');
         
         if (spinBtn) {
-            spinBtn.addEventListener('click', () => this.spin());
+            spinBtn.addEventListener('click', () => this.handleSpin());
             if (!this.canSpin()) {
                 spinBtn.disabled = true;
                 spinBtn.textContent = 'Come back tomorrow!';
@@ -2551,7 +3877,7 @@ CollectionManager.render = function(tab) {
             <p>Gems: ${this.unlocked.gems.size} types</p>
             <div style="display: flex; gap: 8px; margin-top: 12px;">
                 ${Array.from(this.unlocked.gems).map(color => 
-                    `<div style="width: 40px; height: 40px; background: ${GEM_COLORS[GEM_COLORS.indexOf(color)]}; border-radius: 50%;"></div>`
+                    `<div style="width: 40px; height: 40px; background: ${getGemColors()[GEM_COLORS.indexOf(color)] || color}; border-radius: 50%;"></div>`
                 ).join('')}
             </div>
         `;
@@ -2565,8 +3891,9 @@ CollectionManager.render = function(tab) {
     }
 };
 
+const loadCollection = CollectionManager.init;
 CollectionManager.init = function() {
-    this.init();
+    loadCollection.call(this);
     const modal = document.getElementById('collection-modal');
     if (modal) {
         const closeBtn = document.getElementById('close-collection');
@@ -2598,6 +3925,8 @@ StatsManager.toggle = function() {
 };
 
 StatsManager.render = function() {
+    ReplayManager.render();
+
     const listEl = document.getElementById('stats-list');
     if (!listEl) return;
     
@@ -2616,7 +3945,7 @@ StatsManager.render = function() {
 };
 
 StatsManager.init = function() {
-    this.init();
+    this.load();
     const modal = document.getElementById('stats-modal');
     if (modal) {
         const closeBtn = document.getElementById('close-stats');
@@ -2638,11 +3967,9 @@ const selectionAnimation = {
  * Tracks cascading matches and applies score multipliers
  */
 
-// Combo system configuration
+// Combo system configuration (multiplier rules live in SCORE_CONFIG, engine.js)
 const COMBO_CONFIG = {
     comboTimeout: 2000,      // ms before combo resets
-    baseMultiplier: 1,       // Base score multiplier
-    maxMultiplier: 10,       // Maximum combo multiplier
     showPopup: true          // Show combo popup messages
 };
 
@@ -2650,118 +3977,180 @@ const COMBO_CONFIG = {
  * Feature #20: Power-up System
  * Bomb gem - clears 3x3 area
  * Color clear gem - clears all gems of one color
+ * Line gem - made from L/T/cross matches, clears its row and column
+ * Freeze gem - spawns in refills, adds 10 seconds
+ * Shield gem - spawns in refills, the next move is free
+ * Creation and activation rules live in SPECIAL_GEMS (engine.js)
  */
 
-// Determine what power-up to create based on match
-function getPowerUpForMatch(matchLength, direction) {
-    if (matchLength < POWERUP_CONFIG.creationMatchSize) {
-        return POWERUP_TYPES.NONE;
+// Play the sound for a power-up going off
+function playPowerUpSound(powerUpType) {
+    const special = SPECIAL_GEMS[powerUpType];
+    if (special && special.sound) {
+        special.sound();
+    } else {
+        SoundManager.powerUp();
+    }
+}
+
+// Canvas look and sound for each special gem (rules are in SPECIAL_GEMS, engine.js)
+// drawIcon(ctx, gem, size, colors) draws centred on the gem; specials without one show their emoji icon
+// notice is shown as a notification when the special goes off
+Object.assign(SPECIAL_GEMS[POWERUP_TYPES.BOMB], {
+    sound() {
+        SoundManager.play(200, 0.5, 'sawtooth', 0.3);
+    },
+    drawIcon(ctx, gem, size) {
+        // Bomb icon
+        ctx.fillStyle = '#000000';
+        ctx.beginPath();
+        ctx.arc(0, 2, size / 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Fuse
+        ctx.fillStyle = '#f39c12';
+        ctx.beginPath();
+        ctx.moveTo(0, -size / 4 + 2);
+        ctx.lineTo(4, -size / 3);
+        ctx.lineTo(-4, -size / 3);
+        ctx.closePath();
+        ctx.fill();
+
+        // Spark
+        const sparkColor = ['#e74c3c', '#f39c12', '#f1c40f'][Math.floor(performance.now() / 100) % 3];
+        ctx.fillStyle = sparkColor;
+        ctx.beginPath();
+        ctx.arc(0, -size / 3 - 3, 3, 0, Math.PI * 2);
+        ctx.fill();
+    }
+});
+
+Object.assign(SPECIAL_GEMS[POWERUP_TYPES.COLOR_CLEAR], {
+    // Color clear rainbow glow
+    glow() {
+        const hue = (performance.now() / 10) % 360;
+        return `hsl(${hue}, 100%, 50%)`;
+    },
+    sound() {
+        SoundManager.play(880, 0.1, 'sine', 0.2);
+        setTimeout(() => SoundManager.play(1100, 0.1, 'sine', 0.2), 100);
+        setTimeout(() => SoundManager.play(1320, 0.3, 'sine', 0.3), 200);
+    },
+    drawIcon(ctx, gem, size, colors) {
+        // Color palette icon
+        const iconSize = size / 3;
+        ctx.fillStyle = colors[gem.type];
+        ctx.beginPath();
+        ctx.arc(-iconSize / 2, -iconSize / 4, iconSize / 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.beginPath();
+        ctx.arc(iconSize / 2, -iconSize / 4, iconSize / 2, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = colors[(gem.type + 1) % colors.length];
+        ctx.beginPath();
+        ctx.arc(0, iconSize / 4, iconSize / 2, 0, Math.PI * 2);
+        ctx.fill();
+    }
+});
+
+Object.assign(SPECIAL_GEMS[POWERUP_TYPES.LINE], {
+    sound() {
+        SoundManager.play(600, 0.15, 'square', 0.2);
+        setTimeout(() => SoundManager.play(300, 0.25, 'square', 0.2), 120);
+    },
+    drawIcon(ctx, gem, size) {
+        // Cross icon: row and column beams
+        const beam = size / 3;
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = 4;
+        ctx.lineCap = 'round';
+        ctx.beginPath();
+        ctx.moveTo(-beam, 0);
+        ctx.lineTo(beam, 0);
+        ctx.moveTo(0, -beam);
+        ctx.lineTo(0, beam);
+        ctx.stroke();
     }
+});
 
-    // 4-match = bomb
-    if (matchLength === 4) {
-        return POWERUP_TYPES.BOMB;
+Object.assign(SPECIAL_GEMS[POWERUP_TYPES.FREEZE], {
+    notice: `⏱️ +${POWERUP_CONFIG.freezeSeconds} seconds!`,
+    sound() {
+        SoundManager.play(1200, 0.2, 'triangle', 0.2);
+        setTimeout(() => SoundManager.play(1500, 0.3, 'triangle', 0.2), 100);
     }
+});
 
-    // 5+ match = color clear
-    if (matchLength >= 5) {
-        return POWERUP_TYPES.COLOR_CLEAR;
+Object.assign(SPECIAL_GEMS[POWERUP_TYPES.SHIELD], {
+    notice: '🛡️ Shield activated! Your next move is free',
+    sound() {
+        SoundManager.purchase();
     }
+});
 
-    return POWERUP_TYPES.NONE;
-}
-
-// Create a power-up gem
-function createPowerUpGem(row, col, type, powerUpType) {
-    const gem = game.gridManager.createGem(row, col, type, powerUpType);
-    gem.scale = 0.1; // Start small for spawn animation
-    return gem;
+/**
+ * Feature #27: Special combos - two specials swapped into each other
+ * Rules are in SPECIAL_COMBOS (engine.js); effect is the board-wide flourish drawn on top:
+ * 'shockwave' (ring of `radius` cells), 'beams' (rows and columns `width` cells wide) or 'flash'
+ */
+Object.assign(SPECIAL_COMBOS.megaBomb, { effect: { kind: 'shockwave', color: '#e74c3c', radius: 2.5 } });
+Object.assign(SPECIAL_COMBOS.bigCross, { effect: { kind: 'beams', color: '#1abc9c', width: 3 } });
+Object.assign(SPECIAL_COMBOS.doubleLine, { effect: { kind: 'beams', color: '#1abc9c', width: 1 } });
+Object.assign(SPECIAL_COMBOS.bombStorm, { effect: { kind: 'flash', color: '#e74c3c' } });
+Object.assign(SPECIAL_COMBOS.lineStorm, { effect: { kind: 'flash', color: '#1abc9c' } });
+Object.assign(SPECIAL_COMBOS.boardWipe, { effect: { kind: 'flash', color: '#ffffff' } });
+
+// Start a combo's flourish centred on a gem (drawn by drawPowerUpEffects)
+function startPowerUpEffect(effect, gem) {
+    if (!effect) return;
+
+    powerUpSystem.activeEffects.push(Object.assign({
+        x: gem.x + CONFIG.gemSize / 2,
+        y: gem.y + CONFIG.gemSize / 2,
+        startTime: performance.now(),
+        duration: 500
+    }, effect));
 }
 
-// Activate a power-up gem
-function activatePowerUp(gem) {
-    if (gem.powerUpType === POWERUP_TYPES.NONE) {
-        return [];
-    }
+// Draw and expire active combo flourishes (positions are relative to the grid)
+function drawPowerUpEffects() {
+    const ctx = game.ctx;
+    const now = performance.now();
+    const gridWidth = CONFIG.gridCols * CONFIG.gemSize;
+    const gridHeight = CONFIG.gridRows * CONFIG.gemSize;
 
-    const gemsToClear = [];
-    const targetColor = gem.type;
+    powerUpSystem.activeEffects = powerUpSystem.activeEffects.filter(effect => now - effect.startTime < effect.duration);
 
-    if (gem.powerUpType === POWERUP_TYPES.BOMB) {
-        // Bomb clears 3x3 area
-        for (let row = gem.row - 1; row <= gem.row + 1; row++) {
-            for (let col = gem.col - 1; col <= gem.col + 1; col++) {
-                const targetGem = game.gridManager.getGem(row, col);
-                if (targetGem && !gemsToClear.includes(targetGem)) {
-                    gemsToClear.push(targetGem);
-                }
-            }
-        }
-        console.log(`💣 BOMB ACTIVATED! Clearing ${gemsToClear.length} gems`);
-        SoundManager.play(200, 0.5, 'sawtooth', 0.3);
-    } else if (gem.powerUpType === POWERUP_TYPES.COLOR_CLEAR) {
-        // Color clear clears all gems of target color
-        for (let row = 0; row < game.gridManager.rows; row++) {
-            for (let col = 0; col < game.gridManager.cols; col++) {
-                const targetGem = game.gridManager.getGem(row, col);
-                if (targetGem && targetGem.type === targetColor && !gemsToClear.includes(targetGem)) {
-                    gemsToClear.push(targetGem);
-                }
-            }
-        }
-        console.log(`🎨 COLOR CLEAR ACTIVATED! Clearing ${gemsToClear.length} ${GEM_COLORS[targetColor]} gems`);
-        // Play special sound
-        SoundManager.play(880, 0.1, 'sine', 0.2);
-        setTimeout(() => SoundManager.play(1100, 0.1, 'sine', 0.2), 100);
-        setTimeout(() => SoundManager.play(1320, 0.3, 'sine', 0.3), 200);
-    }
+    for (const effect of powerUpSystem.activeEffects) {
+        const progress = (now - effect.startTime) / effect.duration;
 
-    return gemsToClear;
-}
+        ctx.save();
+        ctx.translate(CONFIG.gridOffsetX, CONFIG.gridOffsetY);
+        ctx.globalAlpha = 1 - progress;
+        ctx.strokeStyle = effect.color;
+        ctx.fillStyle = effect.color;
+        ctx.shadowColor = effect.color;
+        ctx.shadowBlur = 20;
 
-// Add power-up creation to match processing
-function processPowerUpCreation(matches) {
-    const powerUpGems = [];
-
-    // Group matches by type and direction
-    const matchGroups = {};
-
-    for (const match of matches) {
-        const key = `${match.direction}-${match.matchType}-${match.gem.type}`;
-        if (!matchGroups[key]) {
-            matchGroups[key] = {
-                direction: match.direction,
-                matchType: match.matchType,
-                color: match.gem.type,
-                gems: []
-            };
+        if (effect.kind === 'shockwave') {
+            ctx.lineWidth = 6;
+            ctx.beginPath();
+            ctx.arc(effect.x, effect.y, effect.radius * CONFIG.gemSize * progress, 0, Math.PI * 2);
+            ctx.stroke();
+        } else if (effect.kind === 'beams') {
+            const beam = effect.width * CONFIG.gemSize * (1 - progress / 2);
+            ctx.fillRect(0, effect.y - beam / 2, gridWidth, beam);
+            ctx.fillRect(effect.x - beam / 2, 0, beam, gridHeight);
+        } else if (effect.kind === 'flash') {
+            ctx.globalAlpha = 0.6 * (1 - progress);
+            ctx.fillRect(0, 0, gridWidth, gridHeight);
         }
-        matchGroups[key].gems.push(match.gem);
-    }
-
-    // Create power-ups for qualifying matches
-    for (const key in matchGroups) {
-        const group = matchGroups[key];
-        const powerUpType = getPowerUpForMatch(group.matchType, group.direction);
-
-        if (powerUpType !== POWERUP_TYPES.NONE) {
-            // Create power-up at the center of the match
-            const centerIndex = Math.floor(group.gems.length / 2);
-            const centerGem = group.gems[centerIndex];
 
-            // Mark the position for power-up creation
-            powerUpGems.push({
-                row: centerGem.row,
-                col: centerGem.col,
-                type: group.color,
-                powerUpType: powerUpType
-            });
-
-            console.log(`✨ Creating ${powerUpType} power-up at (${centerGem.row}, ${centerGem.col}) from ${group.matchType}-match`);
-        }
+        ctx.restore();
     }
-
-    return powerUpGems;
 }
 
 // Reset combo count (called when player makes a new move)
@@ -2776,25 +4165,10 @@ function resetCombo() {
     }
 }
 
-// Increment combo (called on cascade match)
-function incrementCombo() {
-    if (game.comboCount === 0) {
-        // First cascade - start a new combo
-        game.comboCount = 1;
-    } else {
-        game.comboCount++;
-    }
-    
-    // Cap at max multiplier
-    if (game.comboCount > COMBO_CONFIG.maxMultiplier) {
-        game.comboCount = COMBO_CONFIG.maxMultiplier;
-    }
-    
-    // Track max combo achieved
-    if (game.comboCount > game.maxCombo) {
-        game.maxCombo = game.comboCount;
-    }
-    
+// Show the combo reached by a move (game.comboCount is set by MatchEngine.applyResult)
+function showCombo() {
+    if (game.comboCount === 0) return;
+
     console.log(`🔥 COMBO x${game.comboCount}!`);
     
     // Set/reset combo timeout
@@ -2810,20 +4184,11 @@ function incrementCombo() {
     if (game.comboCount > 1 && COMBO_CONFIG.showPopup) {
         addComboMessage(game.comboCount);
     }
-    
-    return game.comboCount;
 }
 
 // Get current combo multiplier
 function getComboMultiplier() {
-    return 1 + (game.comboCount - 1) * 0.5; // x1, x1.5, x2, x2.5, ...
-}
-
-// Calculate score with combo multiplier
-function calculateScore(gemsCleared, basePoints = 10) {
-    const baseScore = gemsCleared * basePoints;
-    const multiplier = getComboMultiplier();
-    return Math.floor(baseScore * multiplier);
+    return comboMultiplier(game.comboCount);
 }
 
 // Add combo popup message
@@ -2831,8 +4196,13 @@ function addComboMessage(combo) {
     const messages = ['COMBO!', 'NICE!', 'AWESOME!', 'AMAZING!', 'INCREDIBLE!', 'UNBELIEVABLE!'];
     const msgIndex = Math.min(combo - 2, messages.length - 1);
     
+    addPopupMessage(combo > 1 ? `${messages[msgIndex]} x${combo}` : messages[0]);
+}
+
+// Float a message up from the middle of the board
+function addPopupMessage(text) {
     game.comboMessages.push({
-        text: combo > 1 ? `${messages[msgIndex]} x${combo}` : messages[0],
+        text: text,
         x: CONFIG.canvasWidth / 2,
         y: CONFIG.gridOffsetY + CONFIG.gridRows * CONFIG.gemSize / 2,
         alpha: 1,
@@ -2864,13 +4234,14 @@ function updateComboMessages(ctx) {
             ctx.scale(msg.scale, msg.scale);
             
             // Glow effect
-            ctx.shadowColor = '#f1c40f';
+            const accent = getPalette().accent;
+            ctx.shadowColor = accent;
             ctx.shadowBlur = 20;
             
             // Text
             ctx.font = 'bold 32px Arial';
             ctx.textAlign = 'center';
-            ctx.fillStyle = '#f1c40f';
+            ctx.fillStyle = accent;
             ctx.fillText(msg.text, 0, 0);
             
             ctx.restore();
@@ -2895,7 +4266,12 @@ function updateComboMessages(ctx) {
 // Start the countdown timer
 function startTimer() {
     stopTimer(); // Clear any existing timer
-    game.timer = ShopManager.getBonusTime();
+    game.timer = LevelManager.getTimeLimit();
+
+    // Feature #48: A replay sets the clock from its recording
+    if (ReplayManager.playing) return;
+    // Feature #49: Levels without a time limit never tick
+    if (!LevelManager.isTimed()) return;
     
     game.timerInterval = setInterval(() => {
         if (game.gameState === GAME_STATE.PLAYING && !game.isAnimating) {
@@ -2904,6 +4280,7 @@ function startTimer() {
             // Play warning sound when time is low
             if (game.timer === 10) {
                 SoundManager.play(440, 0.3, 'square', 0.1);
+                ScreenReaderManager.announceUrgent('10 seconds left');
             }
             
             // Check if time has run out
@@ -2912,6 +4289,7 @@ function startTimer() {
                 game.timer = 0;
                 game.gameState = GAME_STATE.LOST;
                 SoundManager.gameOver();
+                ReplayManager.finish('lost');
                 console.log(`💀 TIME'S UP! Game Over! Score: ${game.score}/${game.targetScore}`);
             }
         }
@@ -2929,12 +4307,12 @@ function stopTimer() {
 // Reset the timer for a new level
 function resetTimer() {
     stopTimer();
-    game.timer = ShopManager.getBonusTime();
+    game.timer = LevelManager.getTimeLimit();
 }
 
 // Feature #17: Pause functionality
 function togglePause() {
-    if (game.gameState !== GAME_STATE.PLAYING) return;
+    if (game.gameState !== GAME_STATE.PLAYING && game.gameState !== GAME_STATE.PAUSED) return;
     
     game.isPaused = !game.isPaused;
     
@@ -2975,6 +4353,11 @@ function lerp(start, end, t) {
     return start + (end - start) * t;
 }
 
+// Snap a gem coordinate to the nearest cell position
+function nearestCell(value) {
+    return Math.round(value / CONFIG.gemSize) * CONFIG.gemSize;
+}
+
 // Create a swap animation between two gems
 function createSwapAnimation(gem1, gem2) {
     const startX1 = gem1.x;
@@ -2982,10 +4365,11 @@ function createSwapAnimation(gem1, gem2) {
     const startX2 = gem2.x;
     const startY2 = gem2.y;
 
-    const endX1 = gem2.x;
-    const endY1 = gem2.y;
-    const endX2 = gem1.x;
-    const endY2 = gem1.y;
+    // End on the other gem's cell - a swiped gem may be part way there already
+    const endX1 = nearestCell(gem2.x);
+    const endY1 = nearestCell(gem2.y);
+    const endX2 = nearestCell(gem1.x);
+    const endY2 = nearestCell(gem1.y);
 
     const animation = {
         type: 'swap',
@@ -3002,9 +4386,6 @@ function createSwapAnimation(gem1, gem2) {
     return animation;
 }
 
-// Update animation positions
-function updateAnimation(animation, currentTime) {
-
 // Process all active animations
 function processAnimations() {
     if (game.animations.length === 0) {
@@ -3116,6 +4497,24 @@ function createFallAnimation(gem, targetY, startY) {
     return animation;
 }
 
+// Create a move animation sliding a gem to a new position (board reshuffle, special combos)
+function createMoveAnimation(gem, targetX, targetY, duration = ANIMATION.SHUFFLE_DURATION) {
+    const animation = {
+        type: 'move',
+        gem: gem,
+        startTime: performance.now(),
+        duration: duration,
+        startX: gem.x,
+        startY: gem.y,
+        targetX: targetX,
+        targetY: targetY,
+        complete: false,
+        onComplete: null
+    };
+
+    return animation;
+}
+
 // Update clear animation
 function updateClearAnimation(animation, currentTime) {
     const elapsed = currentTime - animation.startTime;
@@ -3161,622 +4560,339 @@ function updateAnimation(animation, currentTime) {
         return updateClearAnimation(animation, currentTime);
     } else if (animation.type === 'fall') {
         return updateFallAnimation(animation, currentTime);
-    }
-
-    return false;
-}
-
-// Animate matched gems clearing - returns a promise
-function animateClearMatch(matchedGems) {
-    return new Promise((resolve) => {
-        if (matchedGems.length === 0) {
-            resolve();
-            return;
-        }
-
-        game.isAnimating = true;
-
-        matchedGems.forEach(gem => {
-            game.animatingGems.add(gem);
-            const animation = createClearAnimation(gem);
-            animation.onComplete = () => {
-                game.animatingGems.delete(gem);
-            };
-            game.animations.push(animation);
-        });
-
-        // Wait for all clear animations to complete
-        const checkComplete = setInterval(() => {
-            if (game.animations.length === 0 ||
-                !game.animations.some(a => matchedGems.includes(a.gem))) {
-                clearInterval(checkComplete);
-                game.isAnimating = false;
-                resolve();
-            }
-        }, 16);
-    });
-}
-
-// Animate gems falling down - returns a promise
-function animateFall(gemsToFall) {
-    return new Promise((resolve) => {
-        if (gemsToFall.length === 0) {
-            resolve();
-            return;
-        }
-
-        game.isAnimating = true;
-
-        gemsToFall.forEach(({ gem, targetY }) => {
-            game.animatingGems.add(gem);
-            const animation = createFallAnimation(gem, targetY, gem.y);
-            animation.onComplete = () => {
-                game.animatingGems.delete(gem);
-            };
-            game.animations.push(animation);
-        });
-
-        // Wait for all fall animations to complete
-        const checkComplete = setInterval(() => {
-            if (game.animations.length === 0 ||
-                !game.animations.some(a => a.type === 'fall')) {
-                clearInterval(checkComplete);
-                game.isAnimating = false;
-                resolve();
-            }
-        }, 16);
-    });
-}
-
-/**
- * GridManager Class - Manages the game grid
- */
-class GridManager {
-    constructor(rows, cols) {
-        this.rows = rows;
-        this.cols = cols;
-        this.grid = [];
-        this.gemSize = CONFIG.gemSize;
-        this.gemColors = GEM_COLORS;
-    }
-
-    /**
-     * Initialize the grid with random gems, ensuring no initial matches
-     */
-    initialize() {
-        this.grid = [];
-
-        for (let row = 0; row < this.rows; row++) {
-            this.grid[row] = [];
-            for (let col = 0; col < this.cols; col++) {
-                let gemType;
-                do {
-                    gemType = this.getRandomGemType();
-                } while (this.wouldCreateMatch(row, col, gemType));
-
-                this.grid[row][col] = this.createGem(row, col, gemType);
-            }
-        }
-    }
-
-    /**
-     * Create a gem object at the specified position
-     * Feature #20: Added powerUpType parameter for power-up gems
-     */
-    createGem(row, col, type, powerUpType = POWERUP_TYPES.NONE) {
-        return {
-            type: type,
-            powerUpType: powerUpType,
-            x: col * this.gemSize,
-            y: row * this.gemSize,
-            row: row,
-            col: col,
-            alpha: 1,
-            scale: 1
-        };
-    }
-
-    /**
-     * Get a random gem type (0-3 representing 4 colors)
-     */
-    getRandomGemType() {
-        return Math.floor(Math.random() * this.gemColors.length);
-    }
-
-    /**
-     * Check if placing a gem at (row, col) would create a match
-     */
-    wouldCreateMatch(row, col, gemType) {
-        // Check horizontal (left)
-        if (col >= 2) {
-            if (this.grid[row][col - 1].type === gemType &&
-                this.grid[row][col - 2].type === gemType) {
-                return true;
-            }
-        }
-
-        // Check vertical (up)
-        if (row >= 2) {
-            if (this.grid[row - 1][col].type === gemType &&
-                this.grid[row - 2][col].type === gemType) {
-                return true;
-            }
-        }
-
-        return false;
-    }
-
-    /**
-     * Get gem at specific grid position
-     */
-    getGem(row, col) {
-        if (row >= 0 && row < this.rows && col >= 0 && col < this.cols) {
-            return this.grid[row][col];
-        }
-        return null;
-    }
-
-    /**
-     * Get the grid data (for external use)
-     */
-    getGrid() {
-        return this.grid;
-    }
-
-    /**
-     * Check if grid has any matches
-     */
-    hasMatches() {
-        for (let row = 0; row < this.rows; row++) {
-            for (let col = 0; col < this.cols; col++) {
-                const gem = this.grid[row][col];
-                if (gem) {
-                    // Check horizontal
-                    if (col < this.cols - 2) {
-                        const next1 = this.grid[row][col + 1];
-                        const next2 = this.grid[row][col + 2];
-                        if (next1 && next2 && gem.type === next1.type && gem.type === next2.type) {
-                            return true;
-                        }
-                    }
-                    // Check vertical
-                    if (row < this.rows - 2) {
-                        const next1 = this.grid[row + 1][col];
-                        const next2 = this.grid[row + 2][col];
-                        if (next1 && next2 && gem.type === next1.type && gem.type === next2.type) {
-                            return true;
-                        }
-                    }
-                }
-            }
-        }
-        return false;
-    }
-
-    /**
-     * Find all matches of 3+ gems in a row (horizontal and vertical)
-     * Returns array of matched gem objects with match type and direction
-     */
-    findMatches() {
-        const matches = [];
-
-        // Find horizontal matches
-        for (let row = 0; row < this.rows; row++) {
-            let matchStart = 0;
-            let matchLength = 1;
-
-            for (let col = 1; col <= this.cols; col++) {
-                const currentGem = this.grid[row][col];
-                const prevGem = this.grid[row][col - 1];
-
-                if (col < this.cols && currentGem && prevGem && currentGem.type === prevGem.type) {
-                    matchLength++;
-                } else {
-                    // End of run, check if we have a match
-                    if (matchLength >= 3) {
-                        for (let i = 0; i < matchLength; i++) {
-                            matches.push({
-                                gem: this.grid[row][matchStart + i],
-                                matchType: matchLength,
-                                direction: 'horizontal'
-                            });
-                        }
-                    }
-                    matchStart = col;
-                    matchLength = 1;
-                }
-            }
-        }
-
-        // Find vertical matches
-        for (let col = 0; col < this.cols; col++) {
-            let matchStart = 0;
-            let matchLength = 1;
-
-            for (let row = 1; row <= this.rows; row++) {
-                const currentGem = this.grid[row] ? this.grid[row][col] : null;
-                const prevGem = this.grid[row - 1] ? this.grid[row - 1][col] : null;
-
-                if (row < this.rows && currentGem && prevGem && currentGem.type === prevGem.type) {
-                    matchLength++;
-                } else {
-                    // End of run, check if we have a match
-                    if (matchLength >= 3) {
-                        for (let i = 0; i < matchLength; i++) {
-                            const gem = this.grid[matchStart + i][col];
-                            // Don't add if already matched horizontally (avoid duplicates)
-                            const alreadyMatched = matches.some(m => m.gem === gem);
-                            if (!alreadyMatched) {
-                                matches.push({
-                                    gem: gem,
-                                    matchType: matchLength,
-                                    direction: 'vertical'
-                                });
-                            }
-                        }
-                    }
-                    matchStart = row;
-                    matchLength = 1;
-                }
-            }
-        }
-
-        return matches;
-    }
-
-    /**
-     * Get unique matched gems from findMatches result
-     */
-    getMatchedGems() {
-        const matches = this.findMatches();
-        const uniqueGems = [];
-        const seen = new Set();
-
-        for (const match of matches) {
-            const gemKey = `${match.gem.row},${match.gem.col}`;
-            if (!seen.has(gemKey)) {
-                seen.add(gemKey);
-                uniqueGems.push(match.gem);
-            }
-        }
-
-        return uniqueGems;
-    }
-
-    /**
-     * Remove matched gems from the grid (set to null)
-     * Returns the number of gems removed
-     */
-    removeMatchedGems(matchedGems) {
-        let removedCount = 0;
-
-        for (const gem of matchedGems) {
-            if (this.grid[gem.row] && this.grid[gem.row][gem.col]) {
-                this.grid[gem.row][gem.col] = null;
-                removedCount++;
-            }
-        }
-
-        console.log(`Removed ${removedCount} matched gems`);
-        return removedCount;
-    }
-
-    /**
-     * Remove matched gems with animation
-     * Returns a promise that resolves when animation is complete
-     */
-    async animateRemoveMatchedGems(matchedGems) {
-        console.log(`🎬 Starting match clear animations for ${matchedGems.length} gems`);
-        await animateClearMatch(matchedGems);
-        const removed = this.removeMatchedGems(matchedGems);
-        console.log(`✅ Clear animations complete, removed ${removed} gems`);
-        return removed;
-    }
-
-    /**
-     * Drop gems down to fill empty spaces
-     * Returns the number of gems that dropped
-     */
-    dropGems() {
-        let droppedCount = 0;
-
-        // Process each column
-        for (let col = 0; col < this.cols; col++) {
-            let emptyRow = this.rows - 1;
-
-            // Start from the bottom, move gems down
-            for (let row = this.rows - 1; row >= 0; row--) {
-                if (this.grid[row][col] !== null) {
-                    // If there's a gap below, move this gem down
-                    if (row !== emptyRow) {
-                        this.grid[emptyRow][col] = this.grid[row][col];
-                        this.grid[emptyRow][col].row = emptyRow;
-                        this.grid[emptyRow][col].y = emptyRow * this.gemSize;
-                        this.grid[row][col] = null;
-                        droppedCount++;
-                    }
-                    emptyRow--;
-                }
-            }
-        }
-
-        console.log(`Dropped ${droppedCount} gems down`);
-        return droppedCount;
-    }
+    } else if (animation.type === 'move') {
+        const elapsed = currentTime - animation.startTime;
+        const progress = Math.min(elapsed / animation.duration, 1);
+        const easedProgress = easeInOutQuad(progress);
 
-    /**
-     * Drop gems down to fill empty spaces (version for animation)
-     * Returns array of {gem, targetY} for gems that need to fall
-     */
-    calculateGemsToFall() {
-        const gemsToFall = [];
-
-        // Process each column
-        for (let col = 0; col < this.cols; col++) {
-            let emptyRow = this.rows - 1;
-
-            // Start from the bottom, move gems down
-            for (let row = this.rows - 1; row >= 0; row--) {
-                if (this.grid[row][col] !== null) {
-                    // If there's a gap below, this gem needs to fall
-                    if (row !== emptyRow) {
-                        const gem = this.grid[row][col];
-                        const targetY = emptyRow * this.gemSize;
-                        gemsToFall.push({ gem, targetY, startY: gem.y });
-                    }
-                    emptyRow--;
-                }
-            }
-        }
+        animation.gem.x = lerp(animation.startX, animation.targetX, easedProgress);
+        animation.gem.y = lerp(animation.startY, animation.targetY, easedProgress);
 
-        return gemsToFall;
+        return progress >= 1;
     }
 
-    /**
-     * Animate gems falling down - version that calculates and animates
-     * Returns a promise that resolves when animation is complete
-     */
-    async animateDropGems() {
-        const gemsToFall = this.calculateGemsToFall();
+    return false;
+}
 
-        if (gemsToFall.length === 0) {
-            return 0;
+// Animate matched gems clearing - returns a promise
+function animateClearMatch(matchedGems) {
+    return new Promise((resolve) => {
+        if (matchedGems.length === 0) {
+            resolve();
+            return;
         }
 
-        console.log(`🎬 Starting fall animations for ${gemsToFall.length} gems`);
+        game.isAnimating = true;
 
-        // Store the animation promises
-        const animationPromises = [];
+        matchedGems.forEach(gem => {
+            game.animatingGems.add(gem);
+            const animation = createClearAnimation(gem);
+            animation.onComplete = () => {
+                game.animatingGems.delete(gem);
+            };
+            game.animations.push(animation);
+        });
 
-        for (const { gem, targetY } of gemsToFall) {
-            // Calculate target row BEFORE updating
-            const targetRow = Math.floor(targetY / this.gemSize);
-            
-            // Update grid: remove from old position, add to new position
-            this.grid[gem.row][gem.col] = null;
-            gem.row = targetRow;
-            gem.y = targetY; // Update visual position for animation
-            this.grid[gem.row][gem.col] = gem;
+        // Wait for all clear animations to complete
+        const checkComplete = setInterval(() => {
+            if (game.animations.length === 0 ||
+                !game.animations.some(a => matchedGems.includes(a.gem))) {
+                clearInterval(checkComplete);
+                game.isAnimating = false;
+                resolve();
+            }
+        }, 16);
+    });
+}
+
+// Animate gems falling down - returns a promise
+function animateFall(gemsToFall) {
+    return new Promise((resolve) => {
+        if (gemsToFall.length === 0) {
+            resolve();
+            return;
+        }
 
-            // Calculate start Y for animation (where gem is visually now)
-            const startY = gem.y;
-            // Reset gem.y to start position for animation
-            gem.y = startY;
+        game.isAnimating = true;
 
+        gemsToFall.forEach(({ gem, targetY }) => {
             game.animatingGems.add(gem);
-            
-            const animation = createFallAnimation(gem, targetY, startY);
-            
-            const promise = new Promise((resolve) => {
-                animation.onComplete = () => {
-                    game.animatingGems.delete(gem);
-                    resolve();
-                };
-            });
-            
+            const animation = createFallAnimation(gem, targetY, gem.y);
+            animation.onComplete = () => {
+                game.animatingGems.delete(gem);
+            };
             game.animations.push(animation);
-            animationPromises.push(promise);
-        }
+        });
 
         // Wait for all fall animations to complete
-        await Promise.all(animationPromises);
-
-        console.log(`✅ Fall animations complete`);
-        return gemsToFall.length;
-    }
+        const checkComplete = setInterval(() => {
+            if (game.animations.length === 0 ||
+                !game.animations.some(a => a.type === 'fall')) {
+                clearInterval(checkComplete);
+                game.isAnimating = false;
+                resolve();
+            }
+        }, 16);
+    });
+}
 
-    /**
-     * Animate new gems spawning from above the grid
-     * Returns a promise that resolves when animation is complete
-     */
-    async animateSpawnGems() {
-        const gemsToSpawn = [];
+// Animate gems growing in (new power-ups) - returns a promise
+function animateAppear(gems) {
+    return new Promise((resolve) => {
+        if (gems.length === 0) {
+            resolve();
+            return;
+        }
 
-        // Find all empty cells and create gems that will fall in
-        for (let row = 0; row < this.rows; row++) {
-            for (let col = 0; col < this.cols; col++) {
-                if (this.grid[row][col] === null) {
-                    const gemType = this.getRandomGemType();
-                    const newGem = this.createGem(row, col, gemType);
+        game.isAnimating = true;
 
-                    // Position new gems above the grid for animation effect
-                    const targetY = row * this.gemSize;
-                    newGem.y = -this.gemSize * (this.rows - row);
+        gems.forEach(gem => {
+            gem.alpha = 1;
+            gem.scale = 0.1; // Start small for spawn animation
+            game.animatingGems.add(gem);
+            const animation = createClearAnimation(gem);
+            animation.endAlpha = 1;
+            animation.endScale = 1;
+            animation.onComplete = () => {
+                game.animatingGems.delete(gem);
+            };
+            game.animations.push(animation);
+        });
 
-                    this.grid[row][col] = newGem;
-                    gemsToSpawn.push({ gem: newGem, targetY });
-                }
+        const checkComplete = setInterval(() => {
+            if (!game.animations.some(a => gems.includes(a.gem))) {
+                clearInterval(checkComplete);
+                resolve();
             }
-        }
+        }, 16);
+    });
+}
 
-        if (gemsToSpawn.length === 0) {
-            return 0;
+// Animate a reshuffled board: every gem slides to its new cell - returns a promise
+function animateShuffle(moves) {
+    return new Promise((resolve) => {
+        if (moves.length === 0) {
+            resolve();
+            return;
         }
 
-        console.log(`🎬 Starting spawn animations for ${gemsToSpawn.length} new gems`);
-
-        // Create fall animations for spawned gems
-        const animationPromises = [];
+        game.isAnimating = true;
+        const gemSize = game.gridManager.gemSize;
 
-        for (const { gem, targetY } of gemsToSpawn) {
+        moves.forEach(({ gem }) => {
             game.animatingGems.add(gem);
-            
-            const animation = createFallAnimation(gem, targetY, gem.y);
-            
-            const promise = new Promise((resolve) => {
-                animation.onComplete = () => {
-                    game.animatingGems.delete(gem);
-                    resolve();
-                };
-            });
-            
+            const animation = createMoveAnimation(gem, gem.col * gemSize, gem.row * gemSize);
+            animation.onComplete = () => {
+                game.animatingGems.delete(gem);
+            };
             game.animations.push(animation);
-            animationPromises.push(promise);
-        }
+        });
 
-        // Wait for all spawn animations to complete
-        await Promise.all(animationPromises);
+        const checkComplete = setInterval(() => {
+            if (!game.animations.some(a => a.type === 'move')) {
+                clearInterval(checkComplete);
+                resolve();
+            }
+        }, 16);
+    });
+}
 
-        console.log(`✅ Spawn animations complete`);
-        return gemsToSpawn.length;
-    }
+// Slide one gem onto another (two specials merging) - returns a promise
+function animateMerge(gem, target) {
+    return new Promise((resolve) => {
+        game.isAnimating = true;
+        game.animatingGems.add(gem);
 
-    /**
-     * Refill the grid with new random gems in empty spaces (instant - use animateSpawnGems for animation)
-     * Returns the number of new gems spawned
-     */
-    refillGrid() {
-        let spawnedCount = 0;
+        const animation = createMoveAnimation(gem, target.x, target.y, ANIMATION.SWAP_DURATION);
+        animation.onComplete = () => {
+            game.animatingGems.delete(gem);
+            resolve();
+        };
+        game.animations.push(animation);
+    });
+}
 
-        for (let row = 0; row < this.rows; row++) {
-            for (let col = 0; col < this.cols; col++) {
-                if (this.grid[row][col] === null) {
-                    const gemType = this.getRandomGemType();
-                    const newGem = this.createGem(row, col, gemType);
-                    this.grid[row][col] = newGem;
-                    spawnedCount++;
-                }
-            }
-        }
+/**
+ * Play back a move resolved by MatchEngine.playMove
+ * The engine has already updated the grid; gems keep their old x/y until
+ * each event animates them to where the engine put them
+ */
+async function playEngineEvents(events) {
+    const gridManager = game.gridManager;
+    const gemSize = gridManager.gemSize;
+    const powerUpActivated = events.some(e => (e.type === ENGINE_EVENTS.ACTIVATE && !e.chain) || e.type === ENGINE_EVENTS.COMBINE);
 
-        return spawnedCount;
+    // Gems that only appear later in the move stay hidden until their event plays
+    for (const event of events) {
+        if (event.type === ENGINE_EVENTS.SPAWN) {
+            event.spawns.forEach(({ gem }) => { gem.alpha = 0; });
+        } else if (event.type === ENGINE_EVENTS.CREATE) {
+            event.gem.alpha = 0;
+        } else if (event.type === ENGINE_EVENTS.COMBINE) {
+            event.converted.forEach(gem => { gem.displayPowerUpType = POWERUP_TYPES.NONE; });
+        }
     }
 
-    /**
-     * Process a complete match cycle: remove matches, drop gems, and refill
-     * Returns info about what happened
-     */
-    processMatchCycle() {
-        const matches = this.findMatches();
+    // Feature #52: Blockers keep their old strength until their BREAK plays
+    const breaks = events.filter(event => event.type === ENGINE_EVENTS.BREAK);
+    if (breaks.length > 0) {
+        game.displayLayers = gridManager.layers.map(row => row.map(layers => Object.assign({}, layers)));
+        breaks.forEach(event => event.hits.forEach(hit => { game.displayLayers[hit.row][hit.col][hit.blocker]++; }));
+    }
 
-        if (matches.length === 0) {
-            return { processed: false, removed: 0, dropped: 0, spawned: 0 };
-        }
+    for (const event of events) {
+        game.isAnimating = true;
 
-        const matchedGems = this.getMatchedGems();
+        switch (event.type) {
+            case ENGINE_EVENTS.SWAP:
+                await animateSwap(event.gem1, event.gem2);
+                break;
 
-        // Remove matched gems
-        const removed = this.removeMatchedGems(matchedGems);
+            case ENGINE_EVENTS.SWAP_BACK:
+                SoundManager.swapFail();
+                await animateSwap(event.gem1, event.gem2);
+                break;
 
-        // Drop existing gems
-        const dropped = this.dropGems();
+            case ENGINE_EVENTS.ACTIVATE: {
+                console.log(`✨ Power-up activated at (${event.gem.row}, ${event.gem.col}): ${event.powerUpType}, clearing ${event.gems.length} gems`);
+                playPowerUpSound(event.powerUpType);
+                const special = SPECIAL_GEMS[event.powerUpType];
+                if (event.chain) {
+                    // Feature #28: Set off by another clear - mark the spot
+                    console.log(`⛓️ Chain reaction: ${special.name}`);
+                    startPowerUpEffect({ kind: 'shockwave', color: special.glowColor, radius: 1.5 }, event.gem);
+                }
+                if (special.statKey) {
+                    AchievementManager.incrementStat(`powerUpsUsed.${special.statKey}`);
+                }
+                if (special.notice) {
+                    showNotification(special.notice, 2000);
+                }
+                break;
+            }
 
-        // Spawn new gems
-        const spawned = this.refillGrid();
+            case ENGINE_EVENTS.COMBINE: {
+                // Feature #27: The two specials merge, converted gems light up, then the flourish
+                const combo = SPECIAL_COMBOS[event.combo];
+                console.log(`🌟 Special combo: ${combo.name}, clearing ${event.gems.length} gems`);
+                addPopupMessage(`${combo.icon} ${combo.name.toUpperCase()}!`);
+                await animateMerge(event.gem2, event.gem1);
+
+                if (event.converted.length > 0) {
+                    event.converted.forEach(gem => { delete gem.displayPowerUpType; });
+                    playPowerUpSound(event.convertTo);
+                    await animateAppear(event.converted);
+                }
 
-        console.log(`Match cycle complete: removed ${removed}, dropped ${dropped}, spawned ${spawned}`);
+                combo.specials.forEach(powerUpType => playPowerUpSound(powerUpType));
+                startPowerUpEffect(combo.effect, event.gem1);
+                combo.specials.forEach(powerUpType => {
+                    if (SPECIAL_GEMS[powerUpType].statKey) {
+                        AchievementManager.incrementStat(`powerUpsUsed.${SPECIAL_GEMS[powerUpType].statKey}`);
+                    }
+                });
+                break;
+            }
 
-        return {
-            processed: true,
-            removed: removed,
-            dropped: dropped,
-            spawned: spawned,
-            matchedGems: matchedGems
-        };
-    }
+            case ENGINE_EVENTS.CLEAR:
+                if (event.step === 0 && !powerUpActivated) {
+                    SoundManager.match();
+                } else if (event.step > 0) {
+                    // Cascade sound for chain reactions
+                    SoundManager.cascade();
+                }
+                event.gems.forEach(gem => game.clearingGems.add(gem));
+                await animateClearMatch(event.gems);
+                event.gems.forEach(gem => game.clearingGems.delete(gem));
+                break;
 
-    /**
-     * Process a complete match cycle WITH animations (Feature #9)
-     * Returns info about what happened
-     */
-    async animateMatchCycle() {
-        const matches = this.findMatches();
+            case ENGINE_EVENTS.BREAK:
+                SoundManager.play(196, 0.12, 'square', 0.2);
+                event.hits.forEach(hit => {
+                    game.displayLayers[hit.row][hit.col][hit.blocker] = hit.strength;
+                    startPowerUpEffect({ kind: 'shockwave', color: BLOCKER_LOOKS[hit.blocker].color, radius: 0.8 },
+                        { x: hit.col * gemSize, y: hit.row * gemSize });
+                });
+                break;
 
-        if (matches.length === 0) {
-            return { processed: false, removed: 0, dropped: 0, spawned: 0 };
-        }
+            case ENGINE_EVENTS.COLLECT:
+                // Feature #51: Drop items leave through the bottom of the board
+                console.log(`${OBJECTIVES.drop.icon} Collected ${event.gems.length} drop item(s)`);
+                SoundManager.achievement();
+                event.gems.forEach(gem => game.clearingGems.add(gem));
+                await animateClearMatch(event.gems);
+                event.gems.forEach(gem => game.clearingGems.delete(gem));
+                break;
 
-        const matchedGems = this.getMatchedGems();
+            case ENGINE_EVENTS.CREATE:
+                console.log(`✨ Created ${event.gem.powerUpType} power-up at (${event.gem.row}, ${event.gem.col})`);
+                await animateAppear([event.gem]);
+                break;
 
-        // Remove matched gems with animation
-        const removed = await this.animateRemoveMatchedGems(matchedGems);
+            case ENGINE_EVENTS.FALL:
+                await animateFall(event.falls.map(({ gem, toRow }) => ({ gem, targetY: toRow * gemSize })));
+                break;
 
-        // Drop existing gems with animation
-        const dropped = await this.animateDropGems();
+            case ENGINE_EVENTS.SPAWN:
+                // Position new gems above their column's spawner so they fall in
+                event.spawns.forEach(({ gem, row, col }) => {
+                    gem.alpha = 1;
+                    gem.y = (gridManager.getSpawnRow(col) - (gridManager.rows - row)) * gemSize;
+                });
+                await animateFall(event.spawns.map(({ gem, row }) => ({ gem, targetY: row * gemSize })));
+                break;
 
-        // Spawn new gems with animation
-        const spawned = await this.animateSpawnGems();
+            case ENGINE_EVENTS.RESHUFFLE:
+                console.log('🔀 No valid moves left - reshuffling the board');
+                showNotification('🔀 No moves left - shuffling!', 2000);
+                await animateShuffle(event.moves);
+                break;
+        }
+    }
 
-        console.log(`Animated match cycle complete: removed ${removed}, dropped ${dropped}, spawned ${spawned}`);
+    game.displayLayers = null;
+    gridManager.syncGemPositions();
+}
 
-        return {
-            processed: true,
-            removed: removed,
-            dropped: dropped,
-            spawned: spawned,
-            matchedGems: matchedGems
-        };
+/**
+ * GridManager Class - The engine board (MatchEngine) plus drawing positions
+ * Rules live in engine.js; this only adds x/y/alpha/scale to each gem
+ */
+class GridManager extends MatchEngine {
+    constructor(rows, cols) {
+        super(rows, cols, GEM_COLORS.length);
+        this.gemSize = CONFIG.gemSize;
+        this.gemColors = GEM_COLORS;
     }
 
     /**
-     * Check if there are any matches after a cycle and process recursively
-     * Returns total gems cleared in all cascades
+     * Create a gem object at the specified position
+     * Feature #20: Added powerUpType parameter for power-up gems
      */
-    processCascade() {
-        let totalCleared = 0;
-        let cycleCount = 0;
-        let result = this.processMatchCycle();
-
-        while (result.processed) {
-            totalCleared += result.removed;
-            cycleCount++;
-
-            // Check for new matches after refill
-            result = this.processMatchCycle();
-        }
-
-        if (cycleCount > 0) {
-            console.log(`Cascade complete: ${cycleCount} cycles, ${totalCleared} total gems cleared`);
-        }
-
-        return totalCleared;
+    createGem(row, col, type, powerUpType = POWERUP_TYPES.NONE) {
+        const gem = super.createGem(row, col, type, powerUpType);
+        gem.x = col * this.gemSize;
+        gem.y = row * this.gemSize;
+        gem.alpha = 1;
+        gem.scale = 1;
+        return gem;
     }
 
     /**
-     * Check if there are any matches after a cycle and process recursively WITH animations
-     * Returns total gems cleared in all cascades
+     * Snap every gem's drawing position to its grid cell
      */
-    async animateCascade() {
-        let totalCleared = 0;
-        let cycleCount = 0;
-        let result = await this.animateMatchCycle();
-
-        while (result.processed) {
-            totalCleared += result.removed;
-            cycleCount++;
-
-            // Brief pause between cascades for visual effect
-            await new Promise(resolve => setTimeout(resolve, 100));
-
-            // Check for new matches after refill
-            result = await this.animateMatchCycle();
-        }
-
-        if (cycleCount > 0) {
-            console.log(`Animated cascade complete: ${cycleCount} cycles, ${totalCleared} total gems cleared`);
+    syncGemPositions() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const gem = this.grid[row][col];
+                if (gem) {
+                    gem.x = col * this.gemSize;
+                    gem.y = row * this.gemSize;
+                    gem.alpha = 1;
+                    gem.scale = 1;
+                }
+            }
         }
-
-        return totalCleared;
     }
 }
 
@@ -3798,28 +4914,72 @@ function startGame() {
     console.log('game.gameState is now:', game.gameState);
     game.score = 0;
     game.level = 1;
-    game.moves = ShopManager.getBonusMoves();
-    game.targetScore = 1000;
+
+    // Initialize grid from a fresh (or requested) seed
+    beginNewGame();
+    LevelManager.startLevel('classic', game.level);
+    game.startSpecials.forEach(powerUpType => GemTypeManager.placeRandom(powerUpType));
+    game.gridInitialized = true;
     resetTimer();
     startTimer();
+    UndoManager.reset();
 
-    // Initialize grid if not already done
-    if (!game.gridInitialized) {
-        game.gridManager.initialize();
-        game.grid = game.gridManager.getGrid();
-        game.gridInitialized = true;
-    }
+    game.isAnimating = false;
+    game.selectedGem = null;
+    ReplayManager.start(game.seed);
+
+    console.log(`\n🎮 Starting game! Level 1 - Target: ${game.targetScore} points`);
+}
+
+/**
+ * Feature #15: Advance to the next level from the level complete screen
+ */
+function startNextLevel() {
+    SoundManager.play(659.25, 0.1, 'sine', 0.3);
+    stopConfetti();
+
+    game.level++;
+    LevelManager.startLevel(LevelManager.mode, game.level);
+    UndoManager.reset();
+    console.log(`\n🚀 Starting Level ${game.level}! Target: ${game.targetScore}`);
+
+    game.gameState = GAME_STATE.PLAYING;
+    resetTimer();
+    startTimer();
+
+    game.selectedGem = null;
+    ReplayManager.record('next', [game.moves, game.timer]);
+}
+
+/**
+ * Feature #7/#16: Restart the current level after a loss (same board)
+ */
+function restartLevel() {
+    stopTimer();
+    game.score = 0;
+    LevelManager.apply(LevelManager.current);
+    UndoManager.reset();
+    console.log(`\n🔄 Restarting Level ${game.level}. Target: ${game.targetScore}`);
 
+    game.gameState = GAME_STATE.PLAYING;
     game.isAnimating = false;
     game.selectedGem = null;
+    resetTimer(); // Feature #14: Reset timer
+    startTimer(); // Feature #14: Start timer for new level
 
-    console.log('\n🎮 Starting game! Level 1 - Target: 1000 points');
+    ReplayManager.record('restart', [game.moves, game.timer]);
 }
 
 /**
  * Return to menu
  */
 function returnToMenu() {
+    // Feature #50: Quitting a test play goes back to the editor
+    if (EditorManager.testing) {
+        EditorManager.open();
+        return;
+    }
+    ReplayManager.finish('quit');
     game.gameState = GAME_STATE.MENU;
     game.isAnimating = false;
     game.selectedGem = null;
@@ -3833,15 +4993,97 @@ function returnToMenu() {
     stopTimer();
 }
 
-// Global function for overlay play button
-function handleOverlayPlayClick() {
-    startGame();
+// Global function for overlay play button
+function handleOverlayPlayClick() {
+    startGame();
+}
+
+// Feature #52: How each blocker is drawn (rules are in engine.js)
+const BLOCKER_LOOKS = {
+    [BLOCKER_TYPES.ICE]: { name: 'Ice', icon: '🧊', color: '#a8e6ff' },
+    [BLOCKER_TYPES.STONE]: { name: 'Stone', icon: '🪨', color: '#7f8c8d' },
+    [BLOCKER_TYPES.CHAIN]: { name: 'Chain', icon: '⛓️', color: '#d0d3d4' }
+};
+
+function getCellLayers(row, col) {
+    return game.displayLayers ? game.displayLayers[row][col] : game.gridManager.getLayers(row, col);
+}
+
+// Strength of a blocker that takes more than one clear, in the cell's corner
+function drawBlockerStrength(ctx, x, y, width, strength) {
+    if (strength < 2) return;
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(strength, x + width - 3, y + 12);
+}
+
+// Ice sits under the gem; thicker ice, brighter frost
+function drawIce(x, y, width, height, strength) {
+    const ctx = game.ctx;
+    ctx.save();
+    ctx.globalAlpha = 0.3 + 0.2 * strength;
+    ctx.fillStyle = BLOCKER_LOOKS.ice.color;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, height, 6);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 1 + strength;
+    ctx.stroke();
+    ctx.restore();
+}
+
+// Stone fills the cell; cracks show the clears it has taken
+function drawStone(x, y, width, height, strength) {
+    const ctx = game.ctx;
+    ctx.save();
+    ctx.fillStyle = BLOCKER_LOOKS.stone.color;
+    ctx.beginPath();
+    ctx.roundRect(x + 1, y + 1, width - 2, height - 2, 8);
+    ctx.fill();
+    ctx.strokeStyle = '#566573';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.4)';
+    ctx.lineWidth = 1;
+    for (let crack = 0; crack < BLOCKER_CONFIG.maxStrength - strength; crack++) {
+        const offset = (crack + 1) * width / (BLOCKER_CONFIG.maxStrength + 1);
+        ctx.beginPath();
+        ctx.moveTo(x + offset, y + 4);
+        ctx.lineTo(x + offset - 6, y + height / 2);
+        ctx.lineTo(x + offset + 2, y + height - 4);
+        ctx.stroke();
+    }
+    drawBlockerStrength(ctx, x, y, width, strength);
+    ctx.restore();
+}
+
+// Chains cross over the gem
+function drawChain(x, y, width, height, strength) {
+    const ctx = game.ctx;
+    ctx.save();
+    ctx.strokeStyle = BLOCKER_LOOKS.chain.color;
+    ctx.lineWidth = 3;
+    ctx.setLineDash([6, 3]);
+    ctx.beginPath();
+    ctx.moveTo(x + 4, y + 4);
+    ctx.lineTo(x + width - 4, y + height - 4);
+    ctx.moveTo(x + width - 4, y + 4);
+    ctx.lineTo(x + 4, y + height - 4);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    drawBlockerStrength(ctx, x, y, width, strength);
+    ctx.restore();
 }
 
 /**
  * Draw a bucket (container for gems)
+ * Feature #53: `edges` lists the sides ('top', 'right', 'bottom', 'left') that
+ * face a hole or the edge of the board; they get the board outline
  */
-function drawBucket(x, y, width, height) {
+function drawBucket(x, y, width, height, edges = []) {
     const ctx = game.ctx;
 
     // Bucket background
@@ -3860,6 +5102,32 @@ function drawBucket(x, y, width, height) {
     ctx.beginPath();
     ctx.roundRect(x + 4, y + height - 8, width - 8, 4, 2);
     ctx.fill();
+
+    if (edges.length === 0) return;
+
+    // The outline runs around the whole cell, halfway into the gap between buckets
+    const left = x - CONFIG.bucketPadding;
+    const top = y - CONFIG.bucketPadding;
+    const right = x + width + CONFIG.bucketPadding;
+    const bottom = y + height + CONFIG.bucketPadding;
+    const sides = {
+        top: [left, top, right, top],
+        right: [right, top, right, bottom],
+        bottom: [left, bottom, right, bottom],
+        left: [left, top, left, bottom]
+    };
+
+    ctx.strokeStyle = CONFIG.bucketBorderColor;
+    ctx.lineWidth = 3;
+    ctx.lineCap = 'round';
+    ctx.beginPath();
+    for (const edge of edges) {
+        const [x1, y1, x2, y2] = sides[edge];
+        ctx.moveTo(x1, y1);
+        ctx.lineTo(x2, y2);
+    }
+    ctx.stroke();
+    ctx.lineCap = 'butt';
 }
 
 /**
@@ -3869,7 +5137,7 @@ function drawBucket(x, y, width, height) {
 function drawGem(gem) {
     if (!gem) return;
     const ctx = game.ctx;
-    const colors = GEM_COLORS;
+    const colors = getGemColors();
     const isSelected = game.selectedGem === gem;
 
     const x = gem.x + CONFIG.gridOffsetX + CONFIG.bucketPadding + CONFIG.gemPadding;
@@ -3898,18 +5166,18 @@ function drawGem(gem) {
         ctx.shadowOffsetY = 0;
     }
 
-    // Feature #20: Draw power-up indicator first (behind gem)
-    if (gem.powerUpType === POWERUP_TYPES.BOMB) {
-        // Bomb glow effect
-        const pulseTime = performance.now() / 200;
-        const glowSize = size / 2 + Math.sin(pulseTime) * 3;
+    // Feature #51: Drop items are a token, not a gem
+    if (gem.type === DROP_ITEM) {
+        drawDropItem(ctx, size);
+        ctx.restore();
+        return;
+    }
 
-        ctx.shadowColor = '#e74c3c';
-        ctx.shadowBlur = 20;
-    } else if (gem.powerUpType === POWERUP_TYPES.COLOR_CLEAR) {
-        // Color clear rainbow glow
-        const hue = (performance.now() / 10) % 360;
-        ctx.shadowColor = `hsl(${hue}, 100%, 50%)`;
+    // Feature #20/#26: Draw special gem glow first (behind gem)
+    // displayPowerUpType lets playback show a gem's look before the engine changed it
+    const special = SPECIAL_GEMS[gem.displayPowerUpType !== undefined ? gem.displayPowerUpType : gem.powerUpType];
+    if (special) {
+        ctx.shadowColor = special.glow ? special.glow(gem) : special.glowColor;
         ctx.shadowBlur = 20;
     }
 
@@ -3939,68 +5207,105 @@ function drawGem(gem) {
     ctx.roundRect(-size / 2 + 4, -size / 2 + 2, size - 8, size / 3, 4);
     ctx.fill();
 
-    // Feature #20: Draw power-up icon on top
-    if (gem.powerUpType === POWERUP_TYPES.BOMB) {
-        // Bomb icon
-        ctx.fillStyle = '#000000';
-        ctx.beginPath();
-        ctx.arc(0, 2, size / 4, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Fuse
-        ctx.fillStyle = '#f39c12';
-        ctx.beginPath();
-        ctx.moveTo(0, -size / 4 + 2);
-        ctx.lineTo(4, -size / 3);
-        ctx.lineTo(-4, -size / 3);
-        ctx.closePath();
-        ctx.fill();
+    // Colorblind mode: glyph in the middle, or tucked in a corner under a special's icon
+    if (SettingsManager.glyphs) {
+        if (special) {
+            ctx.save();
+            ctx.translate(size / 2 - size / 6, size / 2 - size / 6);
+            drawGemGlyph(ctx, gem.type, size / 4);
+            ctx.restore();
+        } else {
+            drawGemGlyph(ctx, gem.type, size / 2);
+        }
+    }
 
-        // Spark
-        const sparkColor = ['#e74c3c', '#f39c12', '#f1c40f'][Math.floor(performance.now() / 100) % 3];
-        ctx.fillStyle = sparkColor;
-        ctx.beginPath();
-        ctx.arc(0, -size / 3 - 3, 3, 0, Math.PI * 2);
-        ctx.fill();
+    // Feature #20/#26: Draw special gem icon and border on top
+    if (special) {
+        if (special.drawIcon) {
+            special.drawIcon(ctx, gem, size, colors);
+        } else {
+            ctx.font = `${Math.floor(size / 2)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(special.icon, 0, 2);
+        }
 
         // Border to indicate power-up
-        ctx.strokeStyle = '#e74c3c';
+        ctx.strokeStyle = special.borderColor;
         ctx.lineWidth = 3;
-        ctx.stroke();
-    } else if (gem.powerUpType === POWERUP_TYPES.COLOR_CLEAR) {
-        // Color palette icon
-        const iconSize = size / 3;
-        ctx.fillStyle = colors[gem.type];
-        ctx.beginPath();
-        ctx.arc(-iconSize / 2, -iconSize / 4, iconSize / 2, 0, Math.PI * 2);
-        ctx.fill();
-
-        ctx.fillStyle = '#ffffff';
-        ctx.beginPath();
-        ctx.arc(iconSize / 2, -iconSize / 4, iconSize / 2, 0, Math.PI * 2);
-        ctx.fill();
-
-        ctx.fillStyle = colors[(gem.type + 1) % colors.length];
         ctx.beginPath();
-        ctx.arc(0, iconSize / 4, iconSize / 2, 0, Math.PI * 2);
-        ctx.fill();
-
-        // Border to indicate power-up
-        ctx.strokeStyle = '#9b59b6';
-        ctx.lineWidth = 3;
+        ctx.roundRect(-size / 2, -size / 2, size, size, 8);
         ctx.stroke();
     }
 
     ctx.restore();
 }
 
+/**
+ * Feature #51: Draw a drop item centred on the origin
+ */
+function drawDropItem(ctx, size) {
+    ctx.fillStyle = '#6d4c41';
+    ctx.beginPath();
+    ctx.arc(0, 0, size / 2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+
+    ctx.strokeStyle = '#f5deb3';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.font = `${Math.floor(size / 2)}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(OBJECTIVES.drop.icon, 0, 2);
+}
+
+/**
+ * Draw a gem type's colorblind glyph centred on the origin
+ */
+function drawGemGlyph(ctx, type, size) {
+    const r = size / 2;
+
+    ctx.beginPath();
+    switch (GEM_GLYPHS[type]) {
+        case 'circle':
+            ctx.arc(0, 0, r, 0, Math.PI * 2);
+            break;
+        case 'triangle':
+            ctx.moveTo(0, -r);
+            ctx.lineTo(r, r * 0.8);
+            ctx.lineTo(-r, r * 0.8);
+            ctx.closePath();
+            break;
+        case 'square':
+            ctx.rect(-r * 0.8, -r * 0.8, r * 1.6, r * 1.6);
+            break;
+        case 'diamond':
+            ctx.moveTo(0, -r);
+            ctx.lineTo(r, 0);
+            ctx.lineTo(0, r);
+            ctx.lineTo(-r, 0);
+            ctx.closePath();
+            break;
+    }
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+    ctx.fill();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+}
+
 /**
  * Draw the game grid with buckets
+ * Feature #53: Holes are left empty and the board's shape is outlined
  */
 function drawGrid() {
     const ctx = game.ctx;
+    const board = game.gridManager;
     const bucketWidth = CONFIG.gemSize - CONFIG.bucketPadding * 2;
     const bucketHeight = CONFIG.gemSize - CONFIG.bucketPadding * 2;
+    const isOutside = (row, col) => row < 0 || row >= CONFIG.gridRows || col < 0 || col >= CONFIG.gridCols || board.isHole(row, col);
 
     // Draw each bucket and gem
     for (let row = 0; row < CONFIG.gridRows; row++) {
@@ -4008,15 +5313,109 @@ function drawGrid() {
             const bucketX = col * CONFIG.gemSize + CONFIG.gridOffsetX;
             const bucketY = row * CONFIG.gemSize + CONFIG.gridOffsetY;
 
+            // The editor marks holes so they can be painted back in
+            if (board.isHole(row, col)) {
+                if (game.gameState === GAME_STATE.EDITOR) {
+                    ctx.strokeStyle = CONFIG.bucketBorderColor;
+                    ctx.lineWidth = 1;
+                    ctx.setLineDash([4, 4]);
+                    ctx.beginPath();
+                    ctx.roundRect(bucketX, bucketY, bucketWidth, bucketHeight, 6);
+                    ctx.stroke();
+                    ctx.setLineDash([]);
+                }
+                continue;
+            }
+
             // Draw bucket
-            drawBucket(bucketX, bucketY, bucketWidth, bucketHeight);
+            const edges = [];
+            if (isOutside(row - 1, col)) edges.push('top');
+            if (isOutside(row, col + 1)) edges.push('right');
+            if (isOutside(row + 1, col)) edges.push('bottom');
+            if (isOutside(row, col - 1)) edges.push('left');
+            drawBucket(bucketX, bucketY, bucketWidth, bucketHeight, edges);
+
+            // Feature #52: Ice under the gem, or a stone instead of one
+            const layers = getCellLayers(row, col);
+            if (layers.ice > 0) {
+                drawIce(bucketX, bucketY, bucketWidth, bucketHeight, layers.ice);
+            }
+            if (layers.stone > 0) {
+                drawStone(bucketX, bucketY, bucketWidth, bucketHeight, layers.stone);
+            }
+
+            // Draw gem (Feature #45: a hinted pair wiggles toward each other)
+            const gem = game.grid[row][col];
+            const wiggle = gem ? HintManager.getWiggle(row, col) : null;
+            if (wiggle) {
+                ctx.save();
+                ctx.translate(wiggle.x, wiggle.y);
+                drawGem(gem);
+                ctx.restore();
+            } else if (gem) {
+                drawGem(gem);
+            }
 
-            // Draw gem
-            if (game.grid[row][col]) {
-                drawGem(game.grid[row][col]);
+            if (layers.chain > 0) {
+                drawChain(bucketX, bucketY, bucketWidth, bucketHeight, layers.chain);
             }
         }
     }
+
+    // Gems the engine already removed, still fading out
+    game.clearingGems.forEach(gem => drawGem(gem));
+
+    // Feature #27: Special combo flourishes
+    drawPowerUpEffects();
+}
+
+/**
+ * Feature #50: Level editor title bar - level name, size and the paint tool
+ */
+function drawEditorHeader() {
+    const ctx = game.ctx;
+    const level = EditorManager.level;
+
+    ctx.fillStyle = CONFIG.bucketColor;
+    ctx.fillRect(0, 0, CONFIG.canvasWidth, BOARD_ORIGIN.y - 10);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 18px Arial';
+    ctx.textAlign = 'left';
+    ctx.fillText(`🛠️ ${level.name}`, 20, 32);
+
+    ctx.font = '14px Arial';
+    ctx.textAlign = 'right';
+    ctx.fillStyle = EditorManager.errors.length > 0 ? '#ff6b6b' : '#2ecc71';
+    ctx.fillText(`${CONFIG.gridRows}×${CONFIG.gridCols} · Paint: ${EditorManager.getTool().name}`, CONFIG.canvasWidth - 20, 32);
+    ctx.textAlign = 'left';
+}
+
+/**
+ * Feature #45: Glowing outline around the hinted pair
+ */
+function drawHint() {
+    const hint = HintManager.active;
+    if (!hint) return;
+    const ctx = game.ctx;
+
+    const elapsed = performance.now() - hint.startTime;
+    const pulse = (Math.sin(elapsed / HINT_CONFIG.wigglePeriod * Math.PI * 2) + 1) / 2;
+    const x = Math.min(hint.c1, hint.c2) * CONFIG.gemSize + CONFIG.gridOffsetX;
+    const y = Math.min(hint.r1, hint.r2) * CONFIG.gemSize + CONFIG.gridOffsetY;
+    const width = (Math.abs(hint.c2 - hint.c1) + 1) * CONFIG.gemSize;
+    const height = (Math.abs(hint.r2 - hint.r1) + 1) * CONFIG.gemSize;
+
+    ctx.save();
+    ctx.strokeStyle = getPalette().accent;
+    ctx.shadowColor = getPalette().accent;
+    ctx.shadowBlur = 8 + pulse * 12;
+    ctx.globalAlpha = 0.6 + pulse * 0.4;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.roundRect(x + 1, y + 1, width - 2, height - 2, 10);
+    ctx.stroke();
+    ctx.restore();
 }
 
 /**
@@ -4085,6 +5484,23 @@ function drawSelection() {
         );
         ctx.stroke();
     }
+
+    // Keyboard cursor - a dashed outline on the focused cell
+    if (KeyboardManager.cursorVisible && (game.gameState === GAME_STATE.PLAYING || game.gameState === GAME_STATE.EDITOR)) {
+        const ctx = game.ctx;
+        const x = CONFIG.gridOffsetX + KeyboardManager.cursor.col * CONFIG.gemSize;
+        const y = CONFIG.gridOffsetY + KeyboardManager.cursor.row * CONFIG.gemSize;
+
+        ctx.save();
+        ctx.strokeStyle = '#f1c40f';
+        ctx.lineWidth = 3;
+        ctx.setLineDash([6, 4]);
+        ctx.lineDashOffset = -performance.now() / 40;
+        ctx.beginPath();
+        ctx.roundRect(x + 1, y + 1, CONFIG.gemSize - 2, CONFIG.gemSize - 2, 8);
+        ctx.stroke();
+        ctx.restore();
+    }
 }
 
 /**
@@ -4102,220 +5518,338 @@ function updateSelectionAnimation() {
 }
 
 /**
- * Feature #13: Draw start screen
+ * Canvas widget layer
+ * Menu and overlay buttons are declared once in UI_SCREENS; drawWidgets()
+ * paints them and hitTestWidgets() resolves clicks from the same rectangles.
+ * Array order is focus order for the keyboard and gamepad.
+ *
+ * Widget fields: id, name (read to screen readers), label (drawn text, or a
+ * function), x/y/width/height, radius, font, textY (baseline from the top),
+ * fill or gradient [top, bottom], hoverFill/hoverGradient, textColor, shadow,
+ * glow, border, disabled() and action(). Colors may also be functions.
  */
-function drawStartScreen() {
-    const ctx = game.ctx;
+function centeredPanel(width, height) {
+    return {
+        x: (CONFIG.canvasWidth - width) / 2,
+        y: (CONFIG.canvasHeight - height) / 2,
+        width,
+        height
+    };
+}
 
-    // Semi-transparent overlay
-    ctx.fillStyle = 'rgba(26, 26, 46, 0.95)';
-    ctx.fillRect(0, 0, CONFIG.canvasWidth, CONFIG.canvasHeight);
+function centeredX(width) {
+    return (CONFIG.canvasWidth - width) / 2;
+}
 
-    // Decorative gems
-    const gemPositions = [
-        { x: 80, y: 150, color: GEM_COLORS[0], scale: 1.2 },
-        { x: 440, y: 150, color: GEM_COLORS[1], scale: 1.2 },
-        { x: 80, y: 450, color: GEM_COLORS[2], scale: 1.2 },
-        { x: 440, y: 450, color: GEM_COLORS[3], scale: 1.2 },
-        { x: 260, y: 100, color: GEM_COLORS[0], scale: 0.8 },
-        { x: 260, y: 500, color: GEM_COLORS[1], scale: 0.8 },
-    ];
+const UI_PANELS = {
+    pause: centeredPanel(320, 280),
+    levelComplete: centeredPanel(360, 400),
+    gameOver: centeredPanel(360, 320)
+};
 
-    gemPositions.forEach(gem => {
-        ctx.globalAlpha = 0.3 + Math.sin(Date.now() / 1000 + gem.x) * 0.1;
-        ctx.beginPath();
-        ctx.arc(gem.x, gem.y, CONFIG.gemSize * gem.scale / 2, 0, Math.PI * 2);
-        ctx.fillStyle = gem.color;
-        ctx.fill();
-    });
-    ctx.globalAlpha = 1;
+// Second row of the start screen: five small buttons, centred
+function menuRowButton(index, widget) {
+    const width = 80;
+    const spacing = 10;
+    const startX = (CONFIG.canvasWidth - (width * 5 + spacing * 4)) / 2;
+    return Object.assign({
+        x: startX + index * (width + spacing), y: 495, width, height: 32, radius: 6,
+        font: '11px Arial', textY: 21, shadow: 'rgba(0, 0, 0, 0.3)'
+    }, widget);
+}
 
-    // Game title
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 48px Arial';
-    ctx.textAlign = 'center';
-    ctx.fillText('THREE', CONFIG.canvasWidth / 2, 180);
-    ctx.fillText('IN A ROW', CONFIG.canvasWidth / 2, 240);
+// Open a DOM modal from a start screen button
+function openModal(manager) {
+    SoundManager.init();
+    manager.toggle();
+}
 
-    // Decorative line
-    ctx.strokeStyle = '#f1c40f';
-    ctx.lineWidth = 3;
-    ctx.beginPath();
-    ctx.moveTo(160, 260);
-    ctx.lineTo(360, 260);
-    ctx.stroke();
+const UI_SCREENS = {
+    [GAME_STATE.MENU]: [
+        {
+            id: 'play', name: 'Play', label: 'PLAY',
+            x: centeredX(180), y: 380, width: 180, height: 50, radius: 8,
+            font: 'bold 24px Arial', textY: 33,
+            fill: '#2ecc71', hoverFill: '#27ae60', shadow: 'rgba(0, 0, 0, 0.3)',
+            action: () => startGame()
+        },
+        {
+            id: 'achievements', name: 'Achievements',
+            label: () => {
+                const progress = AchievementManager.getProgress();
+                return `🏆 ${progress.unlocked}/${progress.total}`;
+            },
+            x: 20, y: 445, width: 100, height: 36, radius: 6,
+            font: '12px Arial', textY: 24, shadow: 'rgba(0, 0, 0, 0.3)',
+            fill: () => AchievementManager.getProgress().unlocked > 0 ? '#f1c40f' : '#4a4a6a',
+            textColor: () => AchievementManager.getProgress().unlocked > 0 ? '#1a1a2e' : '#ffffff',
+            action: () => openModal(AchievementManager)
+        },
+        {
+            id: 'settings', name: 'Settings', label: '⚙️ Settings',
+            x: centeredX(120), y: 445, width: 120, height: 36, radius: 6,
+            font: '14px Arial', textY: 24, shadow: 'rgba(0, 0, 0, 0.3)',
+            fill: '#4a4a6a',
+            action: () => openModal(SettingsManager)
+        },
+        {
+            id: 'shop', name: 'Shop', label: '💎 Shop',
+            x: CONFIG.canvasWidth - 120, y: 445, width: 100, height: 36, radius: 6,
+            font: '12px Arial', textY: 24, shadow: 'rgba(0, 0, 0, 0.3)',
+            fill: '#9b59b6',
+            action: () => openModal(ShopManager)
+        },
+        menuRowButton(0, {
+            id: 'spin', name: 'Daily Spin', label: '🎡 Spin',
+            fill: '#e74c3c',
+            disabled: () => !DailySpinManager.canSpin(),
+            action: () => openModal(DailySpinManager)
+        }),
+        menuRowButton(1, {
+            id: 'challenges', name: 'Challenges', label: '🎯',
+            fill: '#3498db',
+            action: () => openModal(ChallengeManager)
+        }),
+        menuRowButton(2, {
+            id: 'events', name: 'Events', label: '🎉',
+            fill: () => EventManager.isActive() ? '#f1c40f' : '#4a4a6a',
+            textColor: () => EventManager.isActive() ? '#1a1a2e' : '#ffffff',
+            action: () => openModal(EventManager)
+        }),
+        menuRowButton(3, {
+            id: 'quests', name: 'Quests', label: '📜',
+            fill: '#9b59b6',
+            action: () => openModal(QuestManager)
+        }),
+        menuRowButton(4, {
+            id: 'collection', name: 'Collection', label: '📊',
+            font: '10px Arial', textY: 20,
+            fill: '#1abc9c',
+            action: () => openModal(CollectionManager)
+        }),
+        {
+            id: 'editor', name: 'Level editor', label: '🛠️ Editor',
+            x: 20, y: 15, width: 100, height: 32, radius: 6,
+            font: '12px Arial', textY: 21, shadow: 'rgba(0, 0, 0, 0.3)',
+            fill: '#4a4a6a',
+            action: () => EditorManager.open()
+        },
+        {
+            id: 'stats', name: 'Statistics and replays', label: '📈 Stats',
+            x: CONFIG.canvasWidth - 120, y: 15, width: 100, height: 32, radius: 6,
+            font: '12px Arial', textY: 21, shadow: 'rgba(0, 0, 0, 0.3)',
+            fill: '#4a4a6a',
+            action: () => openModal(StatsManager)
+        }
+    ],
+    [GAME_STATE.PAUSED]: [
+        {
+            id: 'resume', name: 'Resume', label: 'RESUME',
+            x: centeredX(200), y: UI_PANELS.pause.y + 190, width: 200, height: 40, radius: 8,
+            font: 'bold 16px Arial', textY: 27, shadow: 'rgba(0, 0, 0, 0.4)',
+            gradient: ['#2ecc71', '#27ae60'], hoverGradient: ['#27ae60', '#1e8449'],
+            action: () => togglePause()
+        },
+        {
+            id: 'quit', name: 'Quit to menu', label: 'QUIT TO MENU',
+            x: centeredX(160), y: UI_PANELS.pause.y + 240, width: 160, height: 36, radius: 8,
+            font: '14px Arial', textY: 24, shadow: 'rgba(0, 0, 0, 0.4)',
+            gradient: ['#e74c3c', '#c0392b'], hoverGradient: ['#c0392b', '#922b21'],
+            action: () => returnToMenu()
+        }
+    ],
+    [GAME_STATE.WON]: [
+        {
+            id: 'nextLevel',
+            name: () => EditorManager.testing ? 'Back to editor' : 'Next level',
+            label: () => EditorManager.testing ? '← EDITOR' : 'NEXT LEVEL →',
+            x: centeredX(200), y: UI_PANELS.levelComplete.y + 325, width: 200, height: 45, radius: 8,
+            font: 'bold 18px Arial', textY: 29, shadow: 'rgba(0, 0, 0, 0.4)',
+            gradient: ['#2ecc71', '#27ae60'], hoverGradient: ['#27ae60', '#1e8449'],
+            action: () => EditorManager.testing ? EditorManager.open() : startNextLevel()
+        }
+    ],
+    [GAME_STATE.LOST]: [
+        {
+            id: 'tryAgain', name: 'Try again', label: 'Try Again',
+            x: centeredX(160), y: UI_PANELS.gameOver.y + 250, width: 160, height: 44, radius: 8,
+            font: 'bold 18px Arial', textY: 28,
+            gradient: ['#e74c3c', '#c0392b'], glow: '#e74c3c', border: '#e74c3c',
+            action: () => restartLevel()
+        }
+    ]
+};
 
-    // Subtitle
-    ctx.fillStyle = '#aaaaaa';
-    ctx.font = '18px Arial';
-    ctx.fillText('Match 3 gems to win!', CONFIG.canvasWidth / 2, 310);
+// Widget fields may be values or functions of the current state
+function resolveWidgetValue(value) {
+    return typeof value === 'function' ? value() : value;
+}
 
-    // Play button
-    const btnWidth = 180;
-    const btnHeight = 50;
-    const btnX = (CONFIG.canvasWidth - btnWidth) / 2;
-    const btnY = 380;
+function isWidgetDisabled(widget) {
+    return widget.disabled ? widget.disabled() : false;
+}
 
-    // Button shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.roundRect(btnX + 3, btnY + 3, btnWidth, btnHeight, 8);
-    ctx.fill();
+function getScreenWidgets(state) {
+    return UI_SCREENS[state] || [];
+}
 
-    // Button background
-    ctx.fillStyle = '#2ecc71';
+// Widgets the keyboard and gamepad can focus, in focus order
+function getFocusableWidgets(state) {
+    return getScreenWidgets(state).filter(widget => !isWidgetDisabled(widget));
+}
+
+function widgetContains(widget, x, y) {
+    return x >= widget.x && x <= widget.x + widget.width &&
+           y >= widget.y && y <= widget.y + widget.height;
+}
+
+/**
+ * Topmost enabled widget at a canvas point, or null
+ */
+function hitTestWidgets(state, x, y) {
+    const widgets = getScreenWidgets(state);
+    for (let i = widgets.length - 1; i >= 0; i--) {
+        if (widgetContains(widgets[i], x, y) && !isWidgetDisabled(widgets[i])) {
+            return widgets[i];
+        }
+    }
+    return null;
+}
+
+/**
+ * Draw one button: offset shadow, glow, fill or gradient, border, label,
+ * then the hover tint and keyboard focus ring
+ */
+function drawWidget(widget, hovered, focused) {
+    const ctx = game.ctx;
+    const { x, y, width, height } = widget;
+    const radius = widget.radius || 8;
+    const disabled = isWidgetDisabled(widget);
+    const active = hovered && !disabled;
+
+    ctx.save();
+    if (disabled) ctx.globalAlpha = 0.5;
+
+    if (widget.shadow) {
+        ctx.fillStyle = widget.shadow;
+        ctx.beginPath();
+        ctx.roundRect(x + 3, y + 3, width, height, radius);
+        ctx.fill();
+    }
+
+    if (widget.glow) {
+        ctx.shadowColor = widget.glow;
+        ctx.shadowBlur = 10;
+    }
+
+    if (widget.gradient) {
+        const stops = active && widget.hoverGradient ? widget.hoverGradient : widget.gradient;
+        const gradient = ctx.createLinearGradient(x, y, x, y + height);
+        gradient.addColorStop(0, stops[0]);
+        gradient.addColorStop(1, stops[1]);
+        ctx.fillStyle = gradient;
+    } else {
+        ctx.fillStyle = resolveWidgetValue(active && widget.hoverFill ? widget.hoverFill : widget.fill);
+    }
     ctx.beginPath();
-    ctx.roundRect(btnX, btnY, btnWidth, btnHeight, 8);
+    ctx.roundRect(x, y, width, height, radius);
     ctx.fill();
+    ctx.shadowBlur = 0;
 
-    // Button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 24px Arial';
+    // Widgets without their own hover colors get a light tint
+    if (active && !widget.hoverFill && !widget.hoverGradient) {
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.fill();
+    }
+
+    if (widget.border) {
+        ctx.strokeStyle = widget.border;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    ctx.fillStyle = resolveWidgetValue(widget.textColor) || '#ffffff';
+    ctx.font = widget.font;
     ctx.textAlign = 'center';
-    ctx.fillText('PLAY', CONFIG.canvasWidth / 2, btnY + 33);
+    ctx.fillText(resolveWidgetValue(widget.label), x + width / 2, y + widget.textY);
 
-    // Settings button (smaller, below play button)
-    const settingsBtnWidth = 120;
-    const settingsBtnHeight = 36;
-    const settingsBtnX = (CONFIG.canvasWidth - settingsBtnWidth) / 2;
-    const settingsBtnY = btnY + 65;
+    if (focused) {
+        const pulse = (Math.sin(performance.now() / 200) + 1) / 2;
+        ctx.strokeStyle = `rgba(241, 196, 15, ${0.7 + pulse * 0.3})`;
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.roundRect(x - 5, y - 5, width + 10, height + 10, radius + 2);
+        ctx.stroke();
+    }
 
-    // Settings button shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.roundRect(settingsBtnX + 3, settingsBtnY + 3, settingsBtnWidth, settingsBtnHeight, 6);
-    ctx.fill();
+    ctx.restore();
+}
 
-    // Settings button background
-    ctx.fillStyle = '#4a4a6a';
-    ctx.beginPath();
-    ctx.roundRect(settingsBtnX, settingsBtnY, settingsBtnWidth, settingsBtnHeight, 6);
-    ctx.fill();
+/**
+ * Draw every widget on a screen, with hover from the tracked pointer
+ * and focus from the keyboard/gamepad
+ */
+function drawWidgets(state) {
+    const mouse = getCanvasPoint({ clientX: game.lastMouseX || 0, clientY: game.lastMouseY || 0 });
+    const focused = KeyboardManager.getFocusedWidget();
 
-    // Settings button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '14px Arial';
-    ctx.fillText('⚙️ Settings', CONFIG.canvasWidth / 2, settingsBtnY + 24);
+    for (const widget of getScreenWidgets(state)) {
+        drawWidget(widget, widgetContains(widget, mouse.x, mouse.y), widget === focused);
+    }
+}
+
+/**
+ * Feature #13: Draw start screen
+ */
+function drawStartScreen() {
+    const ctx = game.ctx;
 
-    // Achievements button (left side)
-    const achBtnWidth = 100;
-    const achBtnHeight = 36;
-    const achBtnX = 20;
-    const achBtnY = btnY + 65;
-    const achBtnCenterX = achBtnX + achBtnWidth / 2;
+    // Semi-transparent overlay
+    ctx.fillStyle = 'rgba(26, 26, 46, 0.95)';
+    ctx.fillRect(0, 0, CONFIG.canvasWidth, CONFIG.canvasHeight);
 
-    // Achievements button shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.roundRect(achBtnX + 3, achBtnY + 3, achBtnWidth, achBtnHeight, 6);
-    ctx.fill();
+    // Decorative gems
+    const colors = getGemColors();
+    const gemPositions = [
+        { x: 80, y: 150, color: colors[0], scale: 1.2 },
+        { x: 440, y: 150, color: colors[1], scale: 1.2 },
+        { x: 80, y: 450, color: colors[2], scale: 1.2 },
+        { x: 440, y: 450, color: colors[3], scale: 1.2 },
+        { x: 260, y: 100, color: colors[0], scale: 0.8 },
+        { x: 260, y: 500, color: colors[1], scale: 0.8 },
+    ];
 
-    // Achievements button background
-    const achProgress = AchievementManager.getProgress();
-    ctx.fillStyle = achProgress.unlocked > 0 ? '#f1c40f' : '#4a4a6a';
-    ctx.beginPath();
-    ctx.roundRect(achBtnX, achBtnY, achBtnWidth, achBtnHeight, 6);
-    ctx.fill();
+    gemPositions.forEach(gem => {
+        ctx.globalAlpha = 0.3 + Math.sin(Date.now() / 1000 + gem.x) * 0.1;
+        ctx.beginPath();
+        ctx.arc(gem.x, gem.y, CONFIG.gemSize * gem.scale / 2, 0, Math.PI * 2);
+        ctx.fillStyle = gem.color;
+        ctx.fill();
+    });
+    ctx.globalAlpha = 1;
 
-    // Achievements button text
-    ctx.fillStyle = achProgress.unlocked > 0 ? '#1a1a2e' : '#ffffff';
-    ctx.font = '12px Arial';
+    // Game title
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 48px Arial';
     ctx.textAlign = 'center';
-    ctx.fillText(`🏆 ${achProgress.unlocked}/${achProgress.total}`, achBtnCenterX, achBtnY + 24);
-
-    // Shop button (right side)
-    const shopBtnWidth = 100;
-    const shopBtnHeight = 36;
-    const shopBtnX = CONFIG.canvasWidth - shopBtnWidth - 20;
-    const shopBtnY = btnY + 65;
+    ctx.fillText('THREE', CONFIG.canvasWidth / 2, 180);
+    ctx.fillText('IN A ROW', CONFIG.canvasWidth / 2, 240);
 
-    // Shop button shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+    // Decorative line
+    ctx.strokeStyle = '#f1c40f';
+    ctx.lineWidth = 3;
     ctx.beginPath();
-    ctx.roundRect(shopBtnX + 3, shopBtnY + 3, shopBtnWidth, shopBtnHeight, 6);
-    ctx.fill();
+    ctx.moveTo(160, 260);
+    ctx.lineTo(360, 260);
+    ctx.stroke();
 
-    // Shop button background
-    ctx.fillStyle = '#9b59b6';
-    ctx.beginPath();
-    ctx.roundRect(shopBtnX, shopBtnY, shopBtnWidth, shopBtnHeight, 6);
-    ctx.fill();
+    // Subtitle
+    ctx.fillStyle = '#aaaaaa';
+    ctx.font = '18px Arial';
+    ctx.fillText('Match 3 gems to win!', CONFIG.canvasWidth / 2, 310);
 
-    // Shop button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '12px Arial';
-    ctx.fillText('💎 Shop', CONFIG.canvasWidth - 70, shopBtnY + 24);
-
-    // Second row of buttons
-    const row2Y = shopBtnY + 50;
-    const btnWidth2 = 80;
-    const btnHeight2 = 32;
-    const btnSpacing = 10;
-    const startX2 = (CONFIG.canvasWidth - (btnWidth2 * 5 + btnSpacing * 4)) / 2;
-    
-    // Daily spin button
-    const spinReady = DailySpinManager.canSpin();
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + 3, row2Y + 3, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = spinReady ? '#e74c3c' : '#4a4a6a';
-    ctx.beginPath();
-    ctx.roundRect(startX2, row2Y, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '11px Arial';
-    ctx.fillText('🎡 Spin', startX2 + btnWidth2 / 2, row2Y + 21);
-    
-    // Challenges button
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + btnWidth2 + btnSpacing + 3, row2Y + 3, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = '#3498db';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + btnWidth2 + btnSpacing, row2Y, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.fillText('🎯', startX2 + btnWidth2 + btnSpacing + btnWidth2 / 2, row2Y + 21);
-    
-    // Events button
-    const hasEvent = EventManager.isActive();
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + (btnWidth2 + btnSpacing) * 2 + 3, row2Y + 3, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = hasEvent ? '#f1c40f' : '#4a4a6a';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + (btnWidth2 + btnSpacing) * 2, row2Y, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = hasEvent ? '#1a1a2e' : '#ffffff';
-    ctx.fillText('🎉', startX2 + (btnWidth2 + btnSpacing) * 2 + btnWidth2 / 2, row2Y + 21);
-    
-    // Quests button
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + (btnWidth2 + btnSpacing) * 3 + 3, row2Y + 3, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = '#9b59b6';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + (btnWidth2 + btnSpacing) * 3, row2Y, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.fillText('📜', startX2 + (btnWidth2 + btnSpacing) * 3 + btnWidth2 / 2, row2Y + 21);
-    
-    // Stats/Collection button
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + (btnWidth2 + btnSpacing) * 4 + 3, row2Y + 3, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = '#1abc9c';
-    ctx.beginPath();
-    ctx.roundRect(startX2 + (btnWidth2 + btnSpacing) * 4, row2Y, btnWidth2, btnHeight2, 6);
-    ctx.fill();
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '10px Arial';
-    ctx.fillText('📊', startX2 + (btnWidth2 + btnSpacing) * 4 + btnWidth2 / 2, row2Y + 20);
+    // Buttons
+    drawWidgets(GAME_STATE.MENU);
 
     // Currency display
     ctx.fillStyle = '#ffffff';
@@ -4370,10 +5904,40 @@ function drawHUD() {
     ctx.fillStyle = '#ffffff';
     ctx.fillText(`Moves: ${game.moves}`, CONFIG.canvasWidth - 130, 32);
 
-    // Target score - right side
-    ctx.textAlign = 'right';
-    ctx.fillStyle = '#f1c40f';
-    ctx.fillText(`Target: ${game.targetScore}`, CONFIG.canvasWidth - 20, 32);
+    // Feature #30: Active score modifiers under the level
+    const modifiers = ScoreModifierManager.getActive();
+    if (modifiers.length > 0) {
+        ctx.textAlign = 'left';
+        ctx.font = '11px Arial';
+        ctx.fillStyle = '#f1c40f';
+        ctx.fillText(modifiers.map(modifier => `${modifier.icon}×${modifier.multiplier}`).join(' '), 20, 50);
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#ffffff';
+    }
+
+    // Feature #51: Objective trackers under the target, right-aligned
+    const trackersLeft = drawObjectiveTrackers(ctx, CONFIG.canvasWidth - 20, 50);
+
+    // Feature #26: Banked shields (left of the trackers when there are any)
+    if (game.shields > 0) {
+        ctx.font = '12px Arial';
+        ctx.fillStyle = '#ffffff';
+        if (trackersLeft < CONFIG.canvasWidth - 20) {
+            ctx.textAlign = 'right';
+            ctx.fillText(`🛡️ x${game.shields}`, trackersLeft, 50);
+        } else {
+            ctx.textAlign = 'center';
+            ctx.fillText(`🛡️ x${game.shields}`, CONFIG.canvasWidth - 130, 50);
+        }
+    }
+
+    // Target score - right side (none when the level has no score objective)
+    if (game.targetScore > 0) {
+        ctx.textAlign = 'right';
+        ctx.font = '16px Arial';
+        ctx.fillStyle = '#f1c40f';
+        ctx.fillText(`Target: ${game.targetScore}`, CONFIG.canvasWidth - 20, 32);
+    }
 
     // Feature #19: Combo display
     if (game.comboCount > 1) {
@@ -4398,12 +5962,160 @@ function drawHUD() {
     }
 }
 
+/**
+ * Feature #29: Itemized score for the last move, shown under the board
+ */
+const SCORE_BREAKDOWN_DURATION = 4000; // ms the breakdown stays up
+
+function showScoreBreakdown(items, total, modifiers = []) {
+    if (items.length === 0) return;
+
+    game.scoreBreakdown = { items: items, total: total, modifiers: modifiers, time: performance.now() };
+    items.forEach(item => {
+        const multiplier = item.multiplier > 1 ? ` ×${item.multiplier}` : '';
+        console.log(`  🧾 Step ${item.step}: ${item.label} ${item.base}${multiplier} = ${item.points}`);
+    });
+    modifiers.forEach(modifier => {
+        console.log(`  🧾 ${modifier.icon} ${modifier.label} ×${modifier.multiplier} → ${modifier.total}`);
+    });
+}
+
+// Feature #51: Level objectives - what each one asks for, for the HUD, results panel and screen readers
+function describeObjective(objective) {
+    const target = objective.target;
+    switch (objective.type) {
+        case 'score':
+            return `Reach ${target} points`;
+        case 'collect':
+            return `Collect ${target} ${getPalette().colorNames[objective.color]}`;
+        case 'drop':
+            return `Bring down ${target} ${target === 1 ? 'item' : 'items'}`;
+        case 'specials': {
+            const name = objective.special ? SPECIAL_GEMS[objective.special].name : 'special';
+            return `Make ${target} ${name}${target === 1 ? '' : 's'}`;
+        }
+        case 'combo':
+            return `Reach a x${target} combo`;
+        case 'blockers':
+            return `Break ${target} ${target === 1 ? 'blocker' : 'blockers'}`;
+        default:
+            return `${OBJECTIVES[objective.type].name} ${target}`;
+    }
+}
+
+function describeObjectives(objectives = game.objectives || []) {
+    return objectives.length > 0 ? objectives.map(describeObjective).join(', ') : 'Play as long as you can';
+}
+
+// Progress toward the i-th objective, capped at its target
+function getObjectiveProgress(i) {
+    return Math.min(game.objectiveProgress[i] || 0, game.objectives[i].target);
+}
+
+/**
+ * Draw a tracker per objective besides score (the HUD shows the target for that),
+ * right to left from `right`; returns the x where the trackers start
+ */
+function drawObjectiveTrackers(ctx, right, y) {
+    let x = right;
+    if (!game.objectives) return x;
+
+    ctx.font = '12px Arial';
+    ctx.textAlign = 'right';
+    game.objectives.forEach((objective, i) => {
+        if (objective.type === 'score') return;
+
+        const progress = getObjectiveProgress(i);
+        const done = isObjectiveComplete(objective, progress);
+        const text = `${done ? '✓ ' : ''}${progress}/${objective.target}`;
+        ctx.fillStyle = done ? '#2ecc71' : '#ffffff';
+        ctx.fillText(text, x, y);
+        x -= ctx.measureText(text).width + 4;
+
+        // Collect goals show the gem color; the rest their icon
+        if (objective.type === 'collect') {
+            ctx.fillStyle = getGemColors()[objective.color];
+            ctx.beginPath();
+            ctx.arc(x - 5, y - 4, 5, 0, Math.PI * 2);
+            ctx.fill();
+            x -= 10;
+        } else {
+            const icon = OBJECTIVES[objective.type].icon;
+            ctx.fillText(icon, x, y);
+            x -= ctx.measureText(icon).width;
+        }
+        x -= 12;
+    });
+    return x;
+}
+
+/**
+ * Level-complete panel rows: each objective with its final progress
+ */
+function drawObjectivePanel(ctx, x, y, width) {
+    const objectives = game.objectives || [];
+    const maxRows = 3;
+
+    ctx.font = '13px Arial';
+    objectives.slice(0, maxRows).forEach((objective, i) => {
+        const rowY = y + i * 20;
+        const progress = getObjectiveProgress(i);
+        const done = isObjectiveComplete(objective, progress);
+
+        ctx.textAlign = 'left';
+        ctx.fillStyle = done ? '#2ecc71' : '#aaaaaa';
+        ctx.fillText(`${done ? '✓' : '•'} ${OBJECTIVES[objective.type].icon} ${describeObjective(objective)}`, x, rowY);
+        ctx.textAlign = 'right';
+        ctx.fillText(`${progress}/${objective.target}`, x + width, rowY);
+    });
+
+    if (objectives.length > maxRows) {
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#888888';
+        ctx.fillText(`+${objectives.length - maxRows} more`, x + width / 2, y + maxRows * 20);
+    }
+    ctx.textAlign = 'center';
+}
+
+function drawScoreBreakdown() {
+    const breakdown = game.scoreBreakdown;
+    if (!breakdown) return;
+
+    const elapsed = performance.now() - breakdown.time;
+    if (elapsed > SCORE_BREAKDOWN_DURATION) {
+        game.scoreBreakdown = null;
+        return;
+    }
+
+    const ctx = game.ctx;
+    const top = CONFIG.gridOffsetY + CONFIG.gridRows * CONFIG.gemSize + 18;
+    const maxItems = 3;
+    const parts = breakdown.items.slice(0, maxItems).map(item =>
+        item.multiplier > 1 ? `${item.label} ${item.base}×${item.multiplier}` : `${item.label} ${item.base}`);
+    if (breakdown.items.length > maxItems) {
+        parts.push(`+${breakdown.items.length - maxItems} more`);
+    }
+
+    ctx.save();
+    ctx.globalAlpha = Math.min(1, (SCORE_BREAKDOWN_DURATION - elapsed) / 500);
+    ctx.textAlign = 'center';
+    ctx.font = '13px Arial';
+    ctx.fillStyle = '#bdc3c7';
+    ctx.fillText(parts.join('  ·  '), CONFIG.canvasWidth / 2, top);
+    const modifierText = breakdown.modifiers.map(modifier => ` ${modifier.icon}×${modifier.multiplier}`).join('');
+    ctx.font = 'bold 16px Arial';
+    ctx.fillStyle = '#f1c40f';
+    ctx.fillText(`${modifierText ? modifierText.trim() + ' → ' : ''}+${breakdown.total}`, CONFIG.canvasWidth / 2, top + 22);
+    ctx.restore();
+}
+
 /**
  * Check win/lose conditions - Feature #7 & Feature #14 (timer)
  */
 function checkGameState() {
-    // Check win condition
-    if (game.score >= game.targetScore) {
+    const outcome = MatchEngine.evaluateOutcome(game);
+
+    if (outcome === OUTCOME.WON) {
         stopTimer(); // Stop timer on win
         game.gameState = GAME_STATE.WON;
         SoundManager.levelComplete();
@@ -4412,19 +6124,12 @@ function checkGameState() {
         return true;
     }
 
-    // Check lose condition - no moves
-    if (game.moves <= 0 && game.score < game.targetScore) {
-        game.gameState = GAME_STATE.LOST;
-        SoundManager.gameOver();
-        console.log(`💀 GAME OVER! Out of moves! Score: ${game.score}/${game.targetScore}`);
-        return true;
-    }
-
-    // Check lose condition - time ran out
-    if (game.timer <= 0 && game.score < game.targetScore) {
+    if (outcome === OUTCOME.LOST) {
         game.gameState = GAME_STATE.LOST;
         SoundManager.gameOver();
-        console.log(`💀 GAME OVER! Time's up! Score: ${game.score}/${game.targetScore}`);
+        ReplayManager.finish('lost');
+        const reason = game.moves <= 0 ? 'Out of moves!' : "Time's up!";
+        console.log(`💀 GAME OVER! ${reason} Score: ${game.score}/${game.targetScore}`);
         return true;
     }
 
@@ -4436,10 +6141,7 @@ function checkGameState() {
  */
 function drawGameOverOverlay() {
     const ctx = game.ctx;
-    const overlayWidth = 360;
-    const overlayHeight = 320;
-    const x = (CONFIG.canvasWidth - overlayWidth) / 2;
-    const y = (CONFIG.canvasHeight - overlayHeight) / 2;
+    const { x, y, width: overlayWidth, height: overlayHeight } = UI_PANELS.gameOver;
 
     // Semi-transparent overlay
     ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
@@ -4521,35 +6223,7 @@ function drawGameOverOverlay() {
     ctx.fillText(`${Math.floor(progress * 100)}% of target`, CONFIG.canvasWidth / 2, progressY + 30);
 
     // Restart button
-    const buttonY = y + 250;
-    const buttonWidth = 160;
-    const buttonHeight = 44;
-    const buttonX = CONFIG.canvasWidth / 2 - buttonWidth / 2;
-
-    // Button hover effect
-    ctx.shadowColor = '#e74c3c';
-    ctx.shadowBlur = 10;
-
-    // Button background
-    const buttonGradient = ctx.createLinearGradient(buttonX, buttonY, buttonX, buttonY + buttonHeight);
-    buttonGradient.addColorStop(0, '#e74c3c');
-    buttonGradient.addColorStop(1, '#c0392b');
-    ctx.fillStyle = buttonGradient;
-    ctx.beginPath();
-    ctx.roundRect(buttonX, buttonY, buttonWidth, buttonHeight, 8);
-    ctx.fill();
-
-    ctx.shadowBlur = 0;
-
-    // Button border
-    ctx.strokeStyle = '#e74c3c';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-
-    // Button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 18px Arial';
-    ctx.fillText('Try Again', CONFIG.canvasWidth / 2, buttonY + 28);
+    drawWidgets(GAME_STATE.LOST);
 
     // Restart hint
     ctx.fillStyle = '#888888';
@@ -4566,12 +6240,9 @@ const levelCompleteAnimation = {
 };
 
 // Calculate stars based on score (1-3 stars)
-function calculateStars(score, target) {
-    const ratio = score / target;
-    if (ratio >= 2) return 3;      // Double target = 3 stars
-    if (ratio >= 1.5) return 2.5;  // 1.5x target = 2.5 stars
-    if (ratio >= 1) return 2;      // At target = 2 stars
-    return 1;                       // Below target = 1 star (minimum)
+// Feature #49: One star per level threshold reached (1 minimum)
+function calculateStars(score, thresholds) {
+    return Math.max(1, thresholds.filter(threshold => score >= threshold).length);
 }
 
 // Confetti particle class
@@ -4582,7 +6253,8 @@ class ConfettiParticle {
         this.size = Math.random() * 8 + 4;
         this.speedY = Math.random() * 3 + 2;
         this.speedX = (Math.random() - 0.5) * 2;
-        this.color = GEM_COLORS[Math.floor(Math.random() * GEM_COLORS.length)];
+        const colors = getGemColors();
+        this.color = colors[Math.floor(Math.random() * colors.length)];
         this.rotation = Math.random() * Math.PI * 2;
         this.rotationSpeed = (Math.random() - 0.5) * 0.2;
     }
@@ -4637,10 +6309,7 @@ function stopConfetti() {
  */
 function drawLevelCompleteOverlay() {
     const ctx = game.ctx;
-    const overlayWidth = 360;
-    const overlayHeight = 340;
-    const x = (CONFIG.canvasWidth - overlayWidth) / 2;
-    const y = (CONFIG.canvasHeight - overlayHeight) / 2;
+    const { x, y, width: overlayWidth, height: overlayHeight } = UI_PANELS.levelComplete;
 
     // Draw confetti in background
     updateConfetti(ctx);
@@ -4678,7 +6347,7 @@ function drawLevelCompleteOverlay() {
     const starsX = CONFIG.canvasWidth / 2 - starSpacing;
 
     // Calculate stars based on performance
-    const stars = calculateStars(game.score, game.targetScore);
+    const stars = calculateStars(game.score, LevelManager.current.stars);
     levelCompleteAnimation.starsEarned = stars;
 
     // Draw star containers (empty stars)
@@ -4770,38 +6439,11 @@ function drawLevelCompleteOverlay() {
     ctx.fillStyle = '#3498db';
     ctx.fillText(`Moves Left: ${game.moves}`, CONFIG.canvasWidth / 2 + 80, statsY);
 
-    // Next Level button
-    const btnWidth = 200;
-    const btnHeight = 45;
-    const btnX = (CONFIG.canvasWidth - btnWidth) / 2;
-    const btnY = y + 260;
-
-    // Button hover effect
-    const rect = game.canvas.getBoundingClientRect();
-    const mouseX = (game.lastMouseX || 0) - rect.left;
-    const mouseY = (game.lastMouseY || 0) - rect.top;
-    const isHovering = mouseX >= btnX && mouseX <= btnX + btnWidth &&
-                       mouseY >= btnY && mouseY <= btnY + btnHeight;
-
-    // Button shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
-    ctx.beginPath();
-    ctx.roundRect(btnX + 3, btnY + 3, btnWidth, btnHeight, 8);
-    ctx.fill();
-
-    // Button background with gradient
-    const btnGradient = ctx.createLinearGradient(btnX, btnY, btnX, btnY + btnHeight);
-    btnGradient.addColorStop(0, isHovering ? '#27ae60' : '#2ecc71');
-    btnGradient.addColorStop(1, isHovering ? '#1e8449' : '#27ae60');
-    ctx.fillStyle = btnGradient;
-    ctx.beginPath();
-    ctx.roundRect(btnX, btnY, btnWidth, btnHeight, 8);
-    ctx.fill();
+    // Feature #51: How each objective ended up
+    drawObjectivePanel(ctx, x + 40, statsY + 35, overlayWidth - 80);
 
-    // Button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 18px Arial';
-    ctx.fillText('NEXT LEVEL →', CONFIG.canvasWidth / 2, btnY + 29);
+    // Next Level button
+    drawWidgets(GAME_STATE.WON);
 }
 
 // Store mouse position for hover effects
@@ -4815,10 +6457,7 @@ if (typeof game !== 'undefined') {
  */
 function drawPauseOverlay() {
     const ctx = game.ctx;
-    const overlayWidth = 320;
-    const overlayHeight = 280;
-    const x = (CONFIG.canvasWidth - overlayWidth) / 2;
-    const y = (CONFIG.canvasHeight - overlayHeight) / 2;
+    const { x, y, width: overlayWidth, height: overlayHeight } = UI_PANELS.pause;
 
     // Semi-transparent overlay
     ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
@@ -4864,67 +6503,8 @@ function drawPauseOverlay() {
     ctx.fillText(`Moves: ${game.moves}`, CONFIG.canvasWidth / 2, statsY + 30);
     ctx.fillText(`Time: ${formatTime(game.timer)}`, CONFIG.canvasWidth / 2, statsY + 60);
 
-    // Resume button
-    const resumeBtnWidth = 200;
-    const resumeBtnHeight = 40;
-    const resumeBtnX = (CONFIG.canvasWidth - resumeBtnWidth) / 2;
-    const resumeBtnY = y + 190;
-
-    // Button hover effect
-    const rect = game.canvas.getBoundingClientRect();
-    const mouseX = (game.lastMouseX || 0) - rect.left;
-    const mouseY = (game.lastMouseY || 0) - rect.top;
-    const isHoveringResume = mouseX >= resumeBtnX && mouseX <= resumeBtnX + resumeBtnWidth &&
-                              mouseY >= resumeBtnY && mouseY <= resumeBtnY + resumeBtnHeight;
-
-    // Button shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
-    ctx.beginPath();
-    ctx.roundRect(resumeBtnX + 3, resumeBtnY + 3, resumeBtnWidth, resumeBtnHeight, 8);
-    ctx.fill();
-
-    // Button background
-    const btnGradient = ctx.createLinearGradient(resumeBtnX, resumeBtnY, resumeBtnX, resumeBtnY + resumeBtnHeight);
-    btnGradient.addColorStop(0, isHoveringResume ? '#27ae60' : '#2ecc71');
-    btnGradient.addColorStop(1, isHoveringResume ? '#1e8449' : '#27ae60');
-    ctx.fillStyle = btnGradient;
-    ctx.beginPath();
-    ctx.roundRect(resumeBtnX, resumeBtnY, resumeBtnWidth, resumeBtnHeight, 8);
-    ctx.fill();
-
-    // Button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = 'bold 16px Arial';
-    ctx.fillText('RESUME', CONFIG.canvasWidth / 2, resumeBtnY + 27);
-
-    // Quit button
-    const quitBtnWidth = 160;
-    const quitBtnHeight = 36;
-    const quitBtnX = (CONFIG.canvasWidth - quitBtnWidth) / 2;
-    const quitBtnY = y + 240;
-
-    const isHoveringQuit = mouseX >= quitBtnX && mouseX <= quitBtnX + quitBtnWidth &&
-                            mouseY >= quitBtnY && mouseY <= quitBtnY + quitBtnHeight;
-
-    // Button shadow
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
-    ctx.beginPath();
-    ctx.roundRect(quitBtnX + 3, quitBtnY + 3, quitBtnWidth, quitBtnHeight, 8);
-    ctx.fill();
-
-    // Button background (red for quit)
-    const quitBtnGradient = ctx.createLinearGradient(quitBtnX, quitBtnY, quitBtnX, quitBtnY + quitBtnHeight);
-    quitBtnGradient.addColorStop(0, isHoveringQuit ? '#c0392b' : '#e74c3c');
-    quitBtnGradient.addColorStop(1, isHoveringQuit ? '#922b21' : '#c0392b');
-    ctx.fillStyle = quitBtnGradient;
-    ctx.beginPath();
-    ctx.roundRect(quitBtnX, quitBtnY, quitBtnWidth, quitBtnHeight, 8);
-    ctx.fill();
-
-    // Button text
-    ctx.fillStyle = '#ffffff';
-    ctx.font = '14px Arial';
-    ctx.fillText('QUIT TO MENU', CONFIG.canvasWidth / 2, quitBtnY + 24);
+    // Resume and quit buttons
+    drawWidgets(GAME_STATE.PAUSED);
     
     // Pause hint
     ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
@@ -4960,274 +6540,80 @@ function clearCanvas() {
  * Main game loop - now with animation processing and combo messages
  */
 function gameLoop() {
+    GamepadManager.poll(performance.now());
+    ReplayManager.update(performance.now());
+    HintManager.update(performance.now());
+    UndoManager.updateButtons();
     clearCanvas();
 
     if (game.gameState === GAME_STATE.MENU) {
         // Feature #13: Show start screen
         drawStartScreen();
-    } else if (game.gameState === GAME_STATE.PAUSED) {
-        // Feature #17: Show game state behind pause overlay
-        drawHUD();
-        drawGrid();
-        drawSelection();
-        drawPauseOverlay();
-    } else {
-        drawHUD();
+    } else if (game.gameState === GAME_STATE.EDITOR) {
+        // Feature #50: The board being edited
+        drawEditorHeader();
         drawGrid();
         drawSelection();
+    } else if (game.gameState === GAME_STATE.PAUSED) {
+        // Feature #17: Show game state behind pause overlay
+        drawHUD();
+        drawGrid();
+        drawSelection();
+        drawPauseOverlay();
+    } else {
+        drawHUD();
+        drawGrid();
+        drawHint();
+        drawSelection();
+        drawScoreBreakdown();
         
-        // Feature #19: Draw combo popup messages
-        if (game.comboMessages.length > 0) {
-            updateComboMessages(game.ctx);
-        }
-        
-        drawOverlays();
-
-        // Update selection animation state
-        updateSelectionAnimation();
-
-        // Process any active animations
-        processAnimations();
-    }
-
-    requestAnimationFrame(gameLoop);
-}
-
-/**
- * Handle click events on the game canvas
- */
-function handleCanvasClick(event) {
-    // Feature #8: Prevent interaction during animations (only when playing)
-    if (game.gameState === GAME_STATE.PLAYING && game.isAnimating) {
-        console.log('Animation in progress, ignoring click');
-        return;
-    }
-
-    // Feature #17: Handle pause overlay clicks
-    if (game.gameState === GAME_STATE.PAUSED) {
-        const rect = game.canvas.getBoundingClientRect();
-        const clickX = event.clientX - rect.left;
-        const clickY = event.clientY - rect.top;
-
-        const overlayWidth = 320;
-        const overlayHeight = 280;
-        const overlayX = (CONFIG.canvasWidth - overlayWidth) / 2;
-        const overlayY = (CONFIG.canvasHeight - overlayHeight) / 2;
-
-        // Resume button
-        const resumeBtnWidth = 200;
-        const resumeBtnHeight = 40;
-        const resumeBtnX = (CONFIG.canvasWidth - resumeBtnWidth) / 2;
-        const resumeBtnY = overlayY + 190;
-
-        if (clickX >= resumeBtnX && clickX <= resumeBtnX + resumeBtnWidth &&
-            clickY >= resumeBtnY && clickY <= resumeBtnY + resumeBtnHeight) {
-            togglePause(); // Resume game
-            return;
-        }
-
-        // Quit button
-        const quitBtnWidth = 160;
-        const quitBtnHeight = 36;
-        const quitBtnX = (CONFIG.canvasWidth - quitBtnWidth) / 2;
-        const quitBtnY = overlayY + 240;
-
-        if (clickX >= quitBtnX && clickX <= quitBtnX + quitBtnWidth &&
-            clickY >= quitBtnY && clickY <= quitBtnY + quitBtnHeight) {
-            // Quit to menu
-            returnToMenu();
-            return;
-        }
-        return;
-    }
-
-    // Feature #13: Handle start screen clicks
-    if (game.gameState === GAME_STATE.MENU) {
-        const rect = game.canvas.getBoundingClientRect();
-        const clickX = event.clientX - rect.left;
-        const clickY = event.clientY - rect.top;
-
-        // Check if play button was clicked
-        const btnWidth = 180;
-        const btnHeight = 50;
-        const btnX = (CONFIG.canvasWidth - btnWidth) / 2;
-        const btnY = 380;
-
-        if (clickX >= btnX && clickX <= btnX + btnWidth &&
-            clickY >= btnY && clickY <= btnY + btnHeight) {
-            console.log('Canvas PLAY button clicked!');
-            // Start the game
-            startGame();
-            return;
-        }
-
-        // Settings button
-        const settingsBtnWidth = 120;
-        const settingsBtnHeight = 36;
-        const settingsBtnX = (CONFIG.canvasWidth - settingsBtnWidth) / 2;
-        const settingsBtnY = 445;
-
-        if (clickX >= settingsBtnX && clickX <= settingsBtnX + settingsBtnWidth &&
-            clickY >= settingsBtnY && clickY <= settingsBtnY + settingsBtnHeight) {
-            // Open settings
-            SoundManager.init();
-            SettingsManager.toggle();
-            return;
-        }
-
-        // Achievements button
-        const achBtnWidth = 100;
-        const achBtnHeight = 36;
-        const achBtnX = 20;
-        const achBtnY = 445;
-
-        if (clickX >= achBtnX && clickX <= achBtnX + achBtnWidth &&
-            clickY >= achBtnY && clickY <= achBtnY + achBtnHeight) {
-            SoundManager.init();
-            AchievementManager.toggle();
-            return;
-        }
-
-        // Shop button
-        const shopBtnWidth = 100;
-        const shopBtnHeight = 36;
-        const shopBtnX = CONFIG.canvasWidth - shopBtnWidth - 20;
-        const shopBtnY = 445;
-
-        if (clickX >= shopBtnX && clickX <= shopBtnX + shopBtnWidth &&
-            clickY >= shopBtnY && clickY <= shopBtnY + shopBtnHeight) {
-            SoundManager.init();
-            ShopManager.toggle();
-            return;
-        }
-        
-        // Second row buttons
-        const row2Y = 445 + 50;
-        const btnWidth2 = 80;
-        const btnHeight2 = 32;
-        const btnSpacing = 10;
-        const startX2 = (CONFIG.canvasWidth - (btnWidth2 * 5 + btnSpacing * 4)) / 2;
-        
-        // Daily Spin button
-        if (clickX >= startX2 && clickX <= startX2 + btnWidth2 &&
-            clickY >= row2Y && clickY <= row2Y + btnHeight2) {
-            SoundManager.init();
-            DailySpinManager.toggle();
-            return;
-        }
-        
-        // Challenges button
-        if (clickX >= startX2 + btnWidth2 + btnSpacing && clickX <= startX2 + (btnWidth2 + btnSpacing) * 2 &&
-            clickY >= row2Y && clickY <= row2Y + btnHeight2) {
-            SoundManager.init();
-            ChallengeManager.toggle();
-            return;
-        }
-        
-        // Events button
-        if (clickX >= startX2 + (btnWidth2 + btnSpacing) * 2 && clickX <= startX2 + (btnWidth2 + btnSpacing) * 3 &&
-            clickY >= row2Y && clickY <= row2Y + btnHeight2) {
-            SoundManager.init();
-            EventManager.toggle();
-            return;
-        }
-        
-        // Quests button
-        if (clickX >= startX2 + (btnWidth2 + btnSpacing) * 3 && clickX <= startX2 + (btnWidth2 + btnSpacing) * 4 &&
-            clickY >= row2Y && clickY <= row2Y + btnHeight2) {
-            SoundManager.init();
-            QuestManager.toggle();
-            return;
+        // Feature #19: Draw combo popup messages
+        if (game.comboMessages.length > 0) {
+            updateComboMessages(game.ctx);
         }
         
-        // Stats button (shows collection too)
-        if (clickX >= startX2 + (btnWidth2 + btnSpacing) * 4 && clickX <= startX2 + (btnWidth2 + btnSpacing) * 5 &&
-            clickY >= row2Y && clickY <= row2Y + btnHeight2) {
-            SoundManager.init();
-            CollectionManager.toggle();
-            return;
-        }
+        drawOverlays();
+
+        // Update selection animation state
+        updateSelectionAnimation();
+
+        // Process any active animations
+        processAnimations();
     }
 
-    // Feature #15: Handle level complete screen clicks
-    if (game.gameState === GAME_STATE.WON) {
-        const rect = game.canvas.getBoundingClientRect();
-        const clickX = event.clientX - rect.left;
-        const clickY = event.clientY - rect.top;
-
-        // Check if Next Level button was clicked
-        const overlayWidth = 360;
-        const overlayHeight = 340;
-        const overlayX = (CONFIG.canvasWidth - overlayWidth) / 2;
-        const overlayY = (CONFIG.canvasHeight - overlayHeight) / 2;
-        const btnWidth = 200;
-        const btnHeight = 45;
-        const btnX = (CONFIG.canvasWidth - btnWidth) / 2;
-        const btnY = overlayY + 260;
-
-        if (clickX >= btnX && clickX <= btnX + btnWidth &&
-            clickY >= btnY && clickY <= btnY + btnHeight) {
-            // Next Level button clicked - play sound and advance
-            SoundManager.play(659.25, 0.1, 'sine', 0.3);
-
-            // Stop confetti
-            stopConfetti();
-
-            // Advance to next level
-            game.level++;
-            game.moves = ShopManager.getBonusMoves();
-            game.targetScore = 1000 + (game.level - 1) * 500;
-            console.log(`\n🚀 Starting Level ${game.level}! Target: ${game.targetScore}`);
-
-            // Reset game state
-            game.gameState = GAME_STATE.PLAYING;
-            resetTimer();
-            startTimer();
-
-            // Reinitialize the grid
-            game.gridManager.initialize();
-            game.grid = game.gridManager.getGrid();
-            game.selectedGem = null;
-        }
+    ScreenReaderManager.update();
+
+    requestAnimationFrame(gameLoop);
+}
+
+/**
+ * Handle click events on the game canvas
+ */
+function handleCanvasClick(event) {
+    // Feature #48: No input while watching a replay
+    if (ReplayManager.playing) return;
+
+    // Feature #8: Prevent interaction during animations (only when playing)
+    if (game.gameState === GAME_STATE.PLAYING && game.isAnimating) {
+        console.log('Animation in progress, ignoring click');
         return;
     }
 
-    // Feature #7: Handle game over/restart clicks
+    // Feature #13/#15/#16/#17: Start screen and overlay buttons come from UI_SCREENS
     if (game.gameState !== GAME_STATE.PLAYING) {
-        // Stop any running timer
-        stopTimer();
-        
-        if (game.gameState === GAME_STATE.WON) {
-            // Advance to next level
-            game.level++;
-            game.moves = ShopManager.getBonusMoves();
-            game.targetScore = 1000 + (game.level - 1) * 500;
-            console.log(`\n🚀 Starting Level ${game.level}! Target: ${game.targetScore}`);
-        } else {
-            // Restart current level
-            game.score = 0;
-            game.moves = ShopManager.getBonusMoves();
-            console.log(`\n🔄 Restarting Level ${game.level}. Target: ${game.targetScore}`);
-        }
-
-        // Reset game state
-        game.gameState = GAME_STATE.PLAYING;
-        game.isAnimating = false;
-        game.selectedGem = null;
-        resetTimer(); // Feature #14: Reset timer
-        startTimer(); // Feature #14: Start timer for new level
-
-        // Reinitialize the grid
-        game.gridManager.initialize();
-        game.grid = game.gridManager.getGrid();
-        game.selectedGem = null;
+        const { x: clickX, y: clickY } = getCanvasPoint(event);
+        const widget = hitTestWidgets(game.gameState, clickX, clickY);
 
+        if (widget) {
+            widget.action();
+        } else if (game.gameState === GAME_STATE.LOST) {
+            // Feature #16: Click anywhere to restart
+            restartLevel();
+        }
         return;
     }
 
-    const rect = game.canvas.getBoundingClientRect();
-    const clickX = event.clientX - rect.left;
-    const clickY = event.clientY - rect.top;
+    const { x: clickX, y: clickY } = getCanvasPoint(event);
 
     // Calculate grid position
     const gridX = clickX - CONFIG.gridOffsetX;
@@ -5249,6 +6635,21 @@ function handleCanvasClick(event) {
 
     if (!clickedGem) return;
 
+    selectGem(clickedGem);
+}
+
+/**
+ * Select a gem, or swap it with the selected gem if they are adjacent.
+ * Shared by mouse clicks and the keyboard cursor.
+ */
+function selectGem(clickedGem) {
+    const row = clickedGem.row;
+    const col = clickedGem.col;
+
+    // Keep the keyboard cursor where the player last acted
+    KeyboardManager.cursor.row = row;
+    KeyboardManager.cursor.col = col;
+
     if (!game.selectedGem) {
         // First click - select the gem
         game.selectedGem = clickedGem;
@@ -5287,221 +6688,693 @@ function handleCanvasClick(event) {
 }
 
 /**
- * Swap two gems with smooth animation - Feature #8
- * Feature #19: Updated with combo system
- * Feature #20: Updated with power-up system
+ * Responsive layout
+ * Drawing code always works in CONFIG.canvasWidth x canvasHeight units. The
+ * canvas is shown at whatever scale fits the viewport, and its backing store
+ * is that size times devicePixelRatio so it stays sharp on high-DPI screens.
  */
-async function swapGems(gem1, gem2) {
-    // Prevent interaction during animation
-    if (game.isAnimating) {
-        console.log('Animation in progress, ignoring swap request');
-        return;
+const LAYOUT_CONFIG = {
+    margin: 16,      // px kept free around the canvas
+    maxScale: 2      // Don't blow the board up past this on large screens
+};
+
+function resizeCanvas() {
+    const canvas = game.canvas;
+    const border = canvas.offsetWidth - canvas.clientWidth; // CSS border on both sides
+    const scale = Math.min(
+        (window.innerWidth - LAYOUT_CONFIG.margin * 2 - border) / CONFIG.canvasWidth,
+        (window.innerHeight - LAYOUT_CONFIG.margin * 2 - border) / CONFIG.canvasHeight,
+        LAYOUT_CONFIG.maxScale
+    );
+    const displayWidth = Math.floor(CONFIG.canvasWidth * scale);
+    const displayHeight = Math.floor(CONFIG.canvasHeight * scale);
+    const dpr = window.devicePixelRatio || 1;
+
+    canvas.style.width = `${displayWidth + border}px`;
+    canvas.style.height = `${displayHeight + border}px`;
+    canvas.width = Math.round(displayWidth * dpr);
+    canvas.height = Math.round(displayHeight * dpr);
+
+    // Resizing resets the context; map logical units onto the backing store
+    game.ctx.setTransform(canvas.width / CONFIG.canvasWidth, 0, 0, canvas.height / CONFIG.canvasHeight, 0, 0);
+
+    layoutOverlayButton();
+}
+
+// Keep the HTML play button over the canvas PLAY button at any scale
+function layoutOverlayButton() {
+    const overlayBtn = document.getElementById('start-button-overlay');
+    if (!overlayBtn) return;
+
+    const play = getScreenWidgets(GAME_STATE.MENU).find(widget => widget.id === 'play');
+    const canvas = game.canvas;
+    const scale = canvas.clientWidth / CONFIG.canvasWidth;
+    const left = canvas.offsetLeft + canvas.clientLeft;
+    const top = canvas.offsetTop + canvas.clientTop;
+    const fontSize = parseFloat(play.font.match(/([\d.]+)px/)[1]);
+
+    overlayBtn.style.left = `${left + (play.x + play.width / 2) * scale}px`;
+    overlayBtn.style.top = `${top + play.y * scale}px`;
+    overlayBtn.style.width = `${play.width * scale}px`;
+    overlayBtn.style.height = `${play.height * scale}px`;
+    overlayBtn.style.fontSize = `${fontSize * scale}px`;
+}
+
+/**
+ * Pointer Events input (mouse, touch and pen)
+ * Swipe a gem toward a neighbour to swap it; the gem follows the pointer.
+ * A press that barely moves is a tap and goes to handleCanvasClick, so
+ * click-to-select, click-to-swap and the menus keep working
+ */
+const POINTER_CONFIG = {
+    tapThreshold: 8,     // px a press may move and still count as a tap
+    swipeThreshold: 0.4  // Fraction of a gem to drag before the swap fires
+};
+
+// Pointer position in canvas coordinates, undoing the responsive scale
+function getCanvasPoint(event) {
+    const canvas = game.canvas;
+    const rect = canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left - canvas.clientLeft) * CONFIG.canvasWidth / canvas.clientWidth,
+        y: (event.clientY - rect.top - canvas.clientTop) * CONFIG.canvasHeight / canvas.clientHeight
+    };
+}
+
+// Gem under a canvas point, or null outside the grid
+function getGemAtPoint(x, y) {
+    const col = Math.floor((x - CONFIG.gridOffsetX) / CONFIG.gemSize);
+    const row = Math.floor((y - CONFIG.gridOffsetY) / CONFIG.gemSize);
+    return game.gridManager.getGem(row, col);
+}
+
+function handlePointerDown(event) {
+    if (event.button > 0) return; // Primary button / touch only
+    if (ReplayManager.playing) return;
+
+    KeyboardManager.hideFocus();
+
+    const point = getCanvasPoint(event);
+    game.drag = { pointerId: event.pointerId, startX: point.x, startY: point.y, gem: null, moved: false };
+
+    // Feature #50: Press and drag to paint in the level editor
+    if (game.gameState === GAME_STATE.EDITOR) {
+        EditorManager.paintAt(point);
     }
 
-    game.isAnimating = true;
+    if (game.gameState === GAME_STATE.PLAYING && !game.isAnimating) {
+        const gem = getGemAtPoint(point.x, point.y);
+        if (gem) {
+            game.drag.gem = gem;
+            game.drag.homeX = gem.x;
+            game.drag.homeY = gem.y;
+        }
+    }
 
-    // Feature #19: Reset combo at start of new move
-    resetCombo();
+    game.canvas.setPointerCapture(event.pointerId);
+}
 
-    // Store original positions for grid update after animation
-    const tempType = game.grid[gem1.row][gem1.col].type;
-    const tempPowerUp = gem1.powerUpType;
-    const tempRow = gem1.row;
-    const tempCol = gem1.col;
+function handlePointerMove(event) {
+    game.lastMouseX = event.clientX;
+    game.lastMouseY = event.clientY;
 
-    console.log(`🔄 Starting swap animation: (${gem1.row}, ${gem1.col}) ↔ (${gem2.row}, ${gem2.col})`);
+    const drag = game.drag;
+    if (!drag || drag.pointerId !== event.pointerId) return;
 
-    // Animate the swap
-    await animateSwap(gem1, gem2);
+    const point = getCanvasPoint(event);
+    if (game.gameState === GAME_STATE.EDITOR) {
+        EditorManager.paintAt(point);
+        return;
+    }
 
-    console.log(`✅ Swap animation complete`);
+    const dx = point.x - drag.startX;
+    const dy = point.y - drag.startY;
+    if (!drag.moved && Math.hypot(dx, dy) < POINTER_CONFIG.tapThreshold) return;
+    drag.moved = true;
 
-    // Update grid after animation
-    game.grid[gem1.row][gem1.col].type = game.grid[gem2.row][gem2.col].type;
-    game.grid[gem1.row][gem1.col].powerUpType = game.grid[gem2.row][gem2.col].powerUpType;
-    game.grid[gem2.row][gem2.col].type = tempType;
-    game.grid[gem2.row][gem2.col].powerUpType = tempPowerUp;
+    const gem = drag.gem;
+    if (!gem || game.isAnimating) return;
+    game.selectedGem = null;
 
-    // Update gem row/col properties
-    gem1.row = gem2.row;
-    gem1.col = gem2.col;
-    gem2.row = tempRow;
-    gem2.col = tempCol;
+    // Follow the pointer along its main axis, toward a neighbour that exists
+    const horizontal = Math.abs(dx) >= Math.abs(dy);
+    const offset = horizontal ? dx : dy;
+    const direction = Math.sign(offset);
+    const neighbour = game.gridManager.getGem(
+        gem.row + (horizontal ? 0 : direction),
+        gem.col + (horizontal ? direction : 0)
+    );
+    const limit = CONFIG.gemSize * POINTER_CONFIG.swipeThreshold;
+    const shift = neighbour ? Math.max(-limit, Math.min(limit, offset)) : 0;
+    gem.x = drag.homeX + (horizontal ? shift : 0);
+    gem.y = drag.homeY + (horizontal ? 0 : shift);
+
+    // Far enough - swap
+    if (neighbour && Math.abs(offset) >= limit) {
+        game.drag = null;
+        SoundManager.init();
+        SoundManager.swap();
+        swapGems(gem, neighbour);
+    }
+}
 
-    // Update gem x/y positions to match new grid positions
-    gem1.x = gem1.col * game.gridManager.gemSize;
-    gem1.y = gem1.row * game.gridManager.gemSize;
-    gem2.x = gem2.col * game.gridManager.gemSize;
-    gem2.y = gem2.row * game.gridManager.gemSize;
+function handlePointerUp(event) {
+    const drag = game.drag;
+    if (!drag || drag.pointerId !== event.pointerId) return;
+    game.drag = null;
 
-    console.log(`Swapped gems at (${gem2.row}, ${gem2.col}) and (${gem1.row}, ${gem1.col})`);
+    if (!drag.moved && event.type === 'pointerup') {
+        handleCanvasClick(event);
+    } else if (drag.gem) {
+        // Swipe let go too early - slide the gem back home
+        game.animations.push(createMoveAnimation(drag.gem, drag.homeX, drag.homeY, ANIMATION.SWAP_DURATION));
+    }
+}
 
-    // Feature #20: Check if power-up was activated (swapped with another gem)
-    let powerUpActivated = false;
-    let powerUpGemsToClear = [];
-    let powerUpGems = [gem1, gem2];
+/**
+ * Screen reader support
+ * A visually hidden ARIA grid mirrors the board (one labelled cell per gem,
+ * the keyboard cursor as the active cell) and live regions read out moves,
+ * score, time, screen changes and notifications.
+ */
+const ScreenReaderManager = {
+    board: null,          // #board-mirror, role="grid"
+    cells: [],            // cells[row][col] gridcell elements
+    status: null,         // Polite live region
+    alert: null,          // Assertive live region for wins, losses and time warnings
+    signature: '',        // Last mirrored board state
+    lastState: null,
 
-    for (const gem of powerUpGems) {
-        if (gem.powerUpType !== POWERUP_TYPES.NONE) {
-            console.log(`✨ Power-up activated at (${gem.row}, ${gem.col}): ${gem.powerUpType}`);
-            powerUpActivated = true;
-            const activatedGems = activatePowerUp(gem);
-            powerUpGemsToClear.push(...activatedGems);
+    init() {
+        this.board = document.getElementById('board-mirror');
+        this.status = document.getElementById('sr-status');
+        this.alert = document.getElementById('sr-alert');
+        if (!this.board) return;
+        this.buildBoard();
+    },
+
+    // One gridcell per board cell; rebuilt when a level changes the board size
+    buildBoard() {
+        this.board.innerHTML = '';
+        this.cells = [];
+        this.signature = '';
+        this.board.setAttribute('aria-rowcount', CONFIG.gridRows);
+        this.board.setAttribute('aria-colcount', CONFIG.gridCols);
+        for (let row = 0; row < CONFIG.gridRows; row++) {
+            const rowEl = document.createElement('div');
+            rowEl.setAttribute('role', 'row');
+            this.cells[row] = [];
+            for (let col = 0; col < CONFIG.gridCols; col++) {
+                const cell = document.createElement('div');
+                cell.id = `board-cell-${row}-${col}`;
+                cell.setAttribute('role', 'gridcell');
+                rowEl.appendChild(cell);
+                this.cells[row][col] = cell;
+            }
+            this.board.appendChild(rowEl);
         }
-    }
+    },
+
+    // Re-setting the text makes screen readers repeat identical messages
+    speak(region, message) {
+        if (!region) return;
+        region.textContent = '';
+        setTimeout(() => { region.textContent = message; }, 50);
+    },
+
+    announce(message) {
+        this.speak(this.status, message);
+    },
+
+    announceUrgent(message) {
+        this.speak(this.alert, message);
+    },
+
+    // Feature #52: Blockers on a cell, e.g. ', Ice 2, Chain 1'
+    describeLayers(row, col) {
+        const layers = game.gridManager.getLayers(row, col);
+        return Object.values(BLOCKER_TYPES)
+            .filter(type => layers[type] > 0)
+            .map(type => `, ${BLOCKER_LOOKS[type].name} ${layers[type]}`)
+            .join('');
+    },
 
-    // Check for matches after swap
-    const matches = game.gridManager.findMatches();
-    const allGemsToClear = [...powerUpGemsToClear];
+    describeGem(gem) {
+        if (gem.type === DROP_ITEM) return 'Drop item';
+        const color = getPalette().colorNames[gem.type];
+        let label = SettingsManager.glyphs ? `${color} ${GEM_GLYPHS[gem.type]} gem` : `${color} gem`;
+        const special = SPECIAL_GEMS[gem.powerUpType];
+        if (special) label += `, ${special.name}`;
+        return label;
+    },
 
-    // Add matched gems to clear list (avoid duplicates)
-    if (matches.length > 0) {
-        const uniqueGems = game.gridManager.getMatchedGems();
-        for (const gem of uniqueGems) {
-            if (!allGemsToClear.includes(gem)) {
-                allGemsToClear.push(gem);
+    /**
+     * Called every frame; touches the DOM only when the board, selection,
+     * cursor or screen changed
+     */
+    update() {
+        if (game.gameState !== this.lastState) {
+            this.announceScreen(game.gameState);
+            this.lastState = game.gameState;
+        }
+        if (!this.board || !game.gridInitialized) return;
+        if (this.cells.length !== CONFIG.gridRows || this.cells[0].length !== CONFIG.gridCols) {
+            this.buildBoard();
+        }
+
+        const cursor = KeyboardManager.cursor;
+        const selected = game.selectedGem;
+        let signature = `${SettingsManager.palette}|${SettingsManager.glyphs}|${cursor.row},${cursor.col}|` +
+            (selected ? `${selected.row},${selected.col}` : '-');
+        for (let row = 0; row < CONFIG.gridRows; row++) {
+            for (let col = 0; col < CONFIG.gridCols; col++) {
+                const gem = game.grid[row][col];
+                const cell = game.gridManager.isHole(row, col) ? ' ' : (gem ? `${gem.type}${gem.powerUpType}` : '.');
+                signature += cell + this.describeLayers(row, col);
+            }
+        }
+        if (signature === this.signature) return;
+        this.signature = signature;
+
+        for (let row = 0; row < CONFIG.gridRows; row++) {
+            for (let col = 0; col < CONFIG.gridCols; col++) {
+                const gem = game.grid[row][col];
+                const cell = this.cells[row][col];
+                const layers = this.describeLayers(row, col);
+                let label = gem ? this.describeGem(gem) + layers : (layers ? layers.slice(2) : 'Empty');
+                if (game.gridManager.isHole(row, col)) label = 'Hole';
+                cell.setAttribute('aria-label', `${label}, row ${row + 1}, column ${col + 1}`);
+                cell.setAttribute('aria-selected', gem !== null && gem === selected ? 'true' : 'false');
             }
         }
+        this.board.setAttribute('aria-activedescendant', `board-cell-${cursor.row}-${cursor.col}`);
+    },
+
+    announceScreen(state) {
+        if (state === GAME_STATE.PLAYING && this.lastState !== GAME_STATE.PAUSED) {
+            this.announce(`Level ${game.level}. ${describeObjectives()}. ` +
+                `${game.moves} moves, ${game.timer} seconds. Use the arrow keys to move and Enter to select.`);
+        } else if (state === GAME_STATE.EDITOR) {
+            this.announce('Level editor. Arrow keys move over the board, Enter paints with the selected tool. Escape leaves.');
+        } else if (state === GAME_STATE.PAUSED) {
+            this.announce('Paused');
+        } else if (state === GAME_STATE.PLAYING) {
+            this.announce('Resumed');
+        } else if (state === GAME_STATE.WON) {
+            this.announceUrgent(`Level complete! Score ${game.score}. Press Enter for the next level.`);
+        } else if (state === GAME_STATE.LOST) {
+            const reason = game.moves <= 0 ? 'Out of moves' : "Time's up";
+            this.announceUrgent(`Game over. ${reason}. Score ${game.score} of ${game.targetScore}. Press Enter to try again.`);
+        }
+    },
+
+    announceMove(result) {
+        if (!result.valid) {
+            this.announce('No match. Gems swapped back.');
+            return;
+        }
+
+        const parts = [`Matched ${result.gemsCleared} gems`];
+        if (result.combo > 1) parts.push(`combo ${result.combo}`);
+        if (result.chainReactions > 0) parts.push(`${result.chainReactions} chain reactions`);
+        parts.push(`plus ${result.finalScore} points`);
+        this.announce(`${parts.join(', ')}. Score ${game.score} of ${game.targetScore}. ` +
+            `${game.moves} moves and ${game.timer} seconds left.`);
     }
+};
 
-    // Process if there's something to clear (match or power-up)
-    if (allGemsToClear.length > 0) {
-        if (matches.length > 0) {
-            console.log(`Match detected! Found ${matches.length} matched gems:`);
-            matches.forEach((match, index) => {
-                console.log(`  ${index + 1}. (${match.gem.row}, ${match.gem.col}) - ${match.direction} match of ${match.matchType}`);
-            });
+/**
+ * Keyboard controls
+ * Arrows/WASD move a cursor over the board and Enter/Space select and swap
+ * like clicks. On the start screen and overlays the same keys move a focus
+ * ring between the canvas buttons and press the focused one.
+ */
+const KEYBOARD_DIRECTIONS = {
+    ArrowUp: [-1, 0], w: [-1, 0], W: [-1, 0],
+    ArrowDown: [1, 0], s: [1, 0], S: [1, 0],
+    ArrowLeft: [0, -1], a: [0, -1], A: [0, -1],
+    ArrowRight: [0, 1], d: [0, 1], D: [0, 1]
+};
 
-            const uniqueGems = game.gridManager.getMatchedGems();
-            console.log(`Total unique gems to clear: ${uniqueGems.length}`);
+const KeyboardManager = {
+    cursor: { row: 0, col: 0 },
+    cursorVisible: false,     // Shown once the board is played from the keyboard
+    menuFocus: 0,             // Index into getMenuButtons()
+    menuFocusVisible: false,
+    menuState: null,          // Game state the focus index belongs to
+
+    // Focusable canvas buttons on the current screen
+    getMenuButtons() {
+        return getFocusableWidgets(game.gameState);
+    },
+
+    // Widget under the focus ring, or null while the ring is hidden
+    getFocusedWidget() {
+        if (!this.menuFocusVisible) return null;
+        const buttons = this.getMenuButtons();
+        if (buttons.length === 0) return null;
+        this.syncMenuState();
+        return buttons[Math.min(this.menuFocus, buttons.length - 1)];
+    },
+
+    // The DOM modal currently open over the canvas, if any
+    getOpenModal() {
+        return document.querySelector('.modal:not(.hidden)');
+    },
+
+    hideFocus() {
+        this.cursorVisible = false;
+        this.menuFocusVisible = false;
+    },
+
+    handleKey(e) {
+        const modal = this.getOpenModal();
+        if (modal) {
+            // Modals are plain DOM - Tab/Enter work natively; Escape closes
+            if (e.key === 'Escape') {
+                const closeBtn = modal.querySelector('[id^="close-"]');
+                if (closeBtn) closeBtn.click();
+                return true;
+            }
+            return false;
         }
 
-        // Feature #20: Play appropriate sound
-        if (powerUpActivated) {
-            // Power-up sound is played in activatePowerUp
+        // Feature #48: Replay controls take over the keyboard during playback
+        if (ReplayManager.playing) return ReplayManager.handleKey(e);
+
+        // Leave keys alone while a DOM control (overlay button, slider) has focus
+        const target = e.target;
+        if (target && target.closest && target.closest('button, input, select, textarea')) {
+            return false;
         }
-        // Play match sound for regular matches
-        if (matches.length > 0 && !powerUpActivated) {
-            SoundManager.match();
+
+        const direction = KEYBOARD_DIRECTIONS[e.key];
+        const isActivate = e.key === 'Enter' || e.key === ' ';
+        if (!direction && !isActivate) return false;
+
+        if (game.gameState === GAME_STATE.PLAYING || game.gameState === GAME_STATE.EDITOR) {
+            if (direction) {
+                this.moveCursor(direction[0], direction[1]);
+            } else {
+                this.activateCursor();
+            }
+        } else if (direction) {
+            this.moveMenuFocus(direction[1], direction[0]);
+        } else {
+            this.activateMenuFocus();
         }
+        return true;
+    },
 
-        // Process the match cycle WITH animations - Feature #9
-        console.log('\n--- Feature #9: Match Clear Animations ---');
+    moveCursor(dRow, dCol) {
+        // The first press only reveals the cursor
+        if (this.cursorVisible) {
+            this.cursor.row = Math.max(0, Math.min(CONFIG.gridRows - 1, this.cursor.row + dRow));
+            this.cursor.col = Math.max(0, Math.min(CONFIG.gridCols - 1, this.cursor.col + dCol));
+        }
+        this.cursorVisible = true;
+    },
 
-        // Feature #20: Handle power-up creation from matches
-        let powerUpsToCreate = [];
-        if (matches.length > 0) {
-            powerUpsToCreate = processPowerUpCreation(matches);
+    activateCursor() {
+        this.cursorVisible = true;
+        if (game.gameState === GAME_STATE.EDITOR) {
+            EditorManager.paint(this.cursor.row, this.cursor.col);
+            return;
         }
+        if (game.isAnimating) return;
+
+        const gem = game.gridManager.getGem(this.cursor.row, this.cursor.col);
+        if (gem) selectGem(gem);
+    },
 
-        // Clear matched gems
-        const cycleResult = await game.gridManager.animateMatchCycle();
+    /**
+     * Move the focus ring to the nearest button in a direction,
+     * falling back to the previous/next button when none lies that way
+     */
+    moveMenuFocus(dx, dy) {
+        const buttons = this.getMenuButtons();
+        if (buttons.length === 0) return;
+        this.syncMenuState();
+
+        if (!this.menuFocusVisible) {
+            this.menuFocusVisible = true;
+            ScreenReaderManager.announce(`${resolveWidgetValue(buttons[this.menuFocus].name)} button`);
+            return;
+        }
 
-        // Feature #20: Create power-ups if any were earned
-        for (const pu of powerUpsToCreate) {
-            // Check if position is empty (not already filled)
-            if (game.grid[pu.row] && game.grid[pu.row][pu.col] === null) {
-                const powerUpGem = createPowerUpGem(pu.row, pu.col, pu.type, pu.powerUpType);
-                game.grid[pu.row][pu.col] = powerUpGem;
-                console.log(`✨ Created ${pu.powerUpType} power-up at (${pu.row}, ${pu.col})`);
+        const current = buttons[this.menuFocus];
+        const centerX = current.x + current.width / 2;
+        const centerY = current.y + current.height / 2;
+        let best = -1;
+        let bestScore = Infinity;
+
+        buttons.forEach((button, index) => {
+            if (index === this.menuFocus) return;
+            const offsetX = button.x + button.width / 2 - centerX;
+            const offsetY = button.y + button.height / 2 - centerY;
+            const along = offsetX * dx + offsetY * dy;
+            if (along <= 0) return;
+            const across = Math.abs(offsetX * dy) + Math.abs(offsetY * dx);
+            const score = along + across * 3;
+            if (score < bestScore) {
+                bestScore = score;
+                best = index;
             }
+        });
+
+        if (best === -1) {
+            best = (this.menuFocus + dx + dy + buttons.length) % buttons.length;
         }
+        this.menuFocus = best;
+        ScreenReaderManager.announce(`${resolveWidgetValue(buttons[best].name)} button`);
+    },
+
+    activateMenuFocus() {
+        const buttons = this.getMenuButtons();
+        if (buttons.length === 0) return;
+        this.syncMenuState();
+
+        buttons[Math.min(this.menuFocus, buttons.length - 1)].action();
 
-        if (cycleResult.processed) {
-            console.log('Match cycle result:', cycleResult);
+        // Hand focus to whatever modal the button opened
+        const modal = this.getOpenModal();
+        if (modal) {
+            const focusTarget = modal.querySelector('[id^="close-"]') || modal.querySelector('button');
+            if (focusTarget) focusTarget.focus();
         }
+    },
 
-        // Decrement moves after a successful match
-        if (matches.length > 0) {
-            game.moves--;
-            console.log(`\nMoves remaining: ${game.moves}`);
+    // Start from the first button whenever the screen changes
+    syncMenuState() {
+        if (this.menuState !== game.gameState) {
+            this.menuState = game.gameState;
+            this.menuFocus = 0;
         }
+    }
+};
 
-        // Check for cascade matches WITH animations
-        let cascadeCount = 0;
-        const totalCleared = await game.gridManager.animateCascade();
-        if (totalCleared > 0) {
-            // Play cascade sound for chain reactions
-            SoundManager.cascade();
-            console.log(`Animated cascade complete! Total gems cleared: ${totalCleared}`);
+/**
+ * Gamepad controls (standard mapping), polled from gameLoop
+ * D-pad/left stick drive the same cursor and menu focus as the keyboard;
+ * A selects/swaps, B cancels, Start pauses, LB hints and RB undoes.
+ */
+const GAMEPAD_CONFIG = {
+    deadZone: 0.5,       // Stick deflection ignored below this
+    repeatDelay: 400,    // ms a direction is held before it repeats
+    repeatRate: 120      // ms between repeats while held
+};
+
+const GAMEPAD_BUTTONS = {
+    A: 0, B: 1, LB: 4, RB: 5, START: 9,
+    UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15
+};
 
-            // Feature #19: Increment combo on cascade
-            cascadeCount = incrementCombo();
+const GamepadManager = {
+    pressed: [],          // Button states from the previous poll
+    direction: null,      // Held direction as "dRow,dCol"
+    nextRepeat: 0,
 
-            // Bonus: Add more time for combos
-            game.timer += cascadeCount > 1 ? cascadeCount : 1;
-            console.log(`⏱️ Cascade bonus! +${cascadeCount > 1 ? cascadeCount : 1}s, Timer: ${game.timer}s`);
+    // First connected pad, if any
+    getGamepad() {
+        if (!navigator.getGamepads) return null;
+        for (const pad of navigator.getGamepads()) {
+            if (pad && pad.connected) return pad;
         }
+        return null;
+    },
 
-        console.log('--- Feature #9: Complete ---\n');
+    // Held direction from the d-pad, else the left stick past the dead zone
+    readDirection(pad) {
+        const isDown = index => pad.buttons[index] && pad.buttons[index].pressed;
+        if (isDown(GAMEPAD_BUTTONS.UP)) return [-1, 0];
+        if (isDown(GAMEPAD_BUTTONS.DOWN)) return [1, 0];
+        if (isDown(GAMEPAD_BUTTONS.LEFT)) return [0, -1];
+        if (isDown(GAMEPAD_BUTTONS.RIGHT)) return [0, 1];
 
-        // Feature #19: Add score based on matches WITH combo multiplier
-        // Feature #20: Bonus for power-up activation
-        let baseScore = allGemsToClear.length * 10;
-        const comboMultiplier = getComboMultiplier();
-        let scoreGained = Math.floor(baseScore * comboMultiplier);
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        if (Math.max(Math.abs(x), Math.abs(y)) < GAMEPAD_CONFIG.deadZone) return null;
+        return Math.abs(x) >= Math.abs(y) ? [0, Math.sign(x)] : [Math.sign(y), 0];
+    },
+
+    poll(now) {
+        const pad = this.getGamepad();
+        if (!pad || ReplayManager.playing) {
+            this.pressed = [];
+            this.direction = null;
+            return;
+        }
 
-        // Bonus points for power-up activation
-        if (powerUpActivated) {
-            const powerUpBonus = powerUpGemsToClear.length * 5;
-            scoreGained += powerUpBonus;
-            console.log(`💥 Power-up bonus: +${powerUpBonus} points`);
+        // Directions fire on press, then repeat while held
+        const direction = this.readDirection(pad);
+        const key = direction ? direction.join(',') : null;
+        if (key !== this.direction) {
+            this.direction = key;
+            this.nextRepeat = now + GAMEPAD_CONFIG.repeatDelay;
+            if (direction) this.move(direction[0], direction[1]);
+        } else if (direction && now >= this.nextRepeat) {
+            this.nextRepeat = now + GAMEPAD_CONFIG.repeatRate;
+            this.move(direction[0], direction[1]);
         }
 
-        game.score += scoreGained;
+        // Face and shoulder buttons fire once per press
+        const pressed = pad.buttons.map(button => button.pressed);
+        for (const name of ['A', 'B', 'LB', 'RB', 'START']) {
+            const index = GAMEPAD_BUTTONS[name];
+            if (pressed[index] && !this.pressed[index]) this.press(name);
+        }
+        this.pressed = pressed;
+    },
+
+    move(dRow, dCol) {
+        const modal = KeyboardManager.getOpenModal();
+        if (modal) {
+            // Step focus through the modal's buttons
+            const buttons = Array.from(modal.querySelectorAll('button'));
+            if (buttons.length === 0) return;
+            const current = buttons.indexOf(document.activeElement);
+            const step = dRow + dCol;
+            buttons[(current + step + buttons.length) % buttons.length].focus();
+            return;
+        }
 
-        if (game.comboCount > 1) {
-            console.log(`🎯 Score gained: ${baseScore} × ${comboMultiplier.toFixed(1)} = ${scoreGained}, Total: ${game.score}`);
+        if (game.gameState === GAME_STATE.PLAYING) {
+            KeyboardManager.moveCursor(dRow, dCol);
         } else {
-            console.log(`🎯 Score gained: ${scoreGained}, Total score: ${game.score}`);
+            KeyboardManager.moveMenuFocus(dCol, dRow);
         }
+    },
 
-        // Add 1 second to timer for successful match (combo adds more)
-        game.timer += 1;
-        console.log(`⏱️ +1 second bonus! Timer: ${game.timer}s`);
+    press(name) {
+        SoundManager.init();
+        HintManager.noteActivity();
 
-        // Feature #7: Check win/lose conditions
-        checkGameState();
-    } else if (powerUpActivated) {
-        // Power-up activated but no match - still count as a move
-        game.moves--;
-        console.log(`\nMoves remaining: ${game.moves}`);
+        const modal = KeyboardManager.getOpenModal();
+        if (modal) {
+            if (name === 'A' && modal.contains(document.activeElement)) {
+                document.activeElement.click();
+            } else if (name === 'B') {
+                const closeBtn = modal.querySelector('[id^="close-"]');
+                if (closeBtn) closeBtn.click();
+            }
+            return;
+        }
+
+        if (name === 'START') {
+            togglePause();
+            return;
+        }
 
-        // Feature #19: Increment combo on power-up activation
-        incrementCombo();
+        if (game.gameState !== GAME_STATE.PLAYING) {
+            if (name === 'A') {
+                KeyboardManager.activateMenuFocus();
+            } else if (name === 'B' && game.gameState === GAME_STATE.PAUSED) {
+                togglePause();
+            }
+            return;
+        }
 
-        // Bonus: Add more time for power-ups
-        game.timer += 2;
-        console.log(`⏱️ Power-up bonus! +2s, Timer: ${game.timer}s`);
+        if (name === 'A') {
+            KeyboardManager.activateCursor();
+        } else if (name === 'B') {
+            game.selectedGem = null;
+        } else if (name === 'LB') {
+            // Show the hint and point the cursor at it
+            const hint = HintManager.requestHint();
+            if (hint) {
+                KeyboardManager.cursor.row = hint.r1;
+                KeyboardManager.cursor.col = hint.c1;
+                KeyboardManager.cursorVisible = true;
+            }
+        } else if (name === 'RB' && !game.isAnimating) {
+            UndoManager.undo();
+        }
+    }
+};
 
-        // Check win/lose conditions
-        checkGameState();
-    } else {
-        // No match - animate swap back
-        console.log('No match detected, swapping back...');
+/**
+ * Swap two gems with smooth animation - Feature #8
+ * The engine resolves the whole move; we animate its events and apply the result
+ */
+async function swapGems(gem1, gem2, replayedModifiers = null) {
+    // Prevent interaction during animation
+    if (game.isAnimating) {
+        console.log('Animation in progress, ignoring swap request');
+        return;
+    }
+
+    // Feature #52: Chained gems stay where they are
+    if (game.gridManager.isFixed(gem1.row, gem1.col) || game.gridManager.isFixed(gem2.row, gem2.col)) {
         SoundManager.swapFail();
-        await animateSwap(gem1, gem2);
+        showNotification("⛓️ Chained gems can't be moved", 1500);
+        game.selectedGem = null;
+        game.gridManager.syncGemPositions();
+        return;
+    }
 
-        // Swap back in grid
-        game.grid[gem1.row][gem1.col].type = game.grid[gem2.row][gem2.col].type;
-        game.grid[gem1.row][gem1.col].powerUpType = game.grid[gem2.row][gem2.col].powerUpType;
-        game.grid[gem2.row][gem2.col].type = tempType;
-        game.grid[gem2.row][gem2.col].powerUpType = tempPowerUp;
+    game.isAnimating = true;
 
-        gem1.row = tempRow;
-        gem1.col = tempCol;
-        gem2.row = tempRow;
-        gem2.col = tempCol;
+    // Feature #19: Reset combo at start of new move
+    resetCombo();
 
-        gem1.x = gem1.col * game.gridManager.gemSize;
-        gem1.y = gem1.row * game.gridManager.gemSize;
-        gem2.x = gem2.col * game.gridManager.gemSize;
-        gem2.y = gem2.row * game.gridManager.gemSize;
+    console.log(`🔄 Starting swap: (${gem1.row}, ${gem1.col}) ↔ (${gem2.row}, ${gem2.col})`);
 
-        console.log('Swap back complete');
-    }
+    // Feature #48: Recorded once resolved, stamped with when the player swapped
+    const move = [gem1.row, gem1.col, gem2.row, gem2.col, game.timer];
+    const movedAt = ReplayManager.now();
 
-    game.isAnimating = false;
+    // Feature #44: Taken before the engine moves anything; kept if the swap counts
+    const before = UndoManager.snapshot();
+
+    try {
+        const result = game.gridManager.playMove(gem1.row, gem1.col, gem2.row, gem2.col);
+        await playEngineEvents(result.events);
+
+        if (!result.valid) {
+            console.log('No match detected, swapped back');
+            ScreenReaderManager.announceMove(result);
+            ReplayManager.record('swap', [...move, game.score], movedAt);
+            return;
+        }
+
+        UndoManager.saveState(before);
+
+        // A replay scores with the modifiers that were live when it was recorded
+        const modifiers = replayedModifiers || ScoreModifierManager.collect(result);
+        MatchEngine.applyResult(game, result, modifiers);
+        ReplayManager.record('swap', modifiers.length > 0 ? [...move, game.score, modifiers] : [...move, game.score], movedAt);
+        showCombo();
+        showScoreBreakdown(result.breakdown, result.finalScore, result.appliedModifiers);
+        ScreenReaderManager.announceMove(result);
+
+        console.log(`🎯 Score gained: ${result.finalScore} (${result.gemsCleared} cleared, ${result.cascadeCleared} in cascades, ${result.chainReactions} chain reactions), Total: ${game.score}`);
+        console.log(`⏱️ +${result.timeBonus}s bonus! Timer: ${game.timer}s, Moves remaining: ${game.moves}`);
+
+        // Feature #7: Check win/lose conditions
+        checkGameState();
+    } finally {
+        game.isAnimating = false;
+    }
 }
 
 /**
@@ -5511,24 +7384,27 @@ function init() {
     game.canvas = document.getElementById('game-canvas');
     game.ctx = game.canvas.getContext('2d');
 
-    // Set canvas dimensions
-    game.canvas.width = CONFIG.canvasWidth;
-    game.canvas.height = CONFIG.canvasHeight;
+    // Size the canvas to the viewport and screen density; redo on resize/rotate
+    resizeCanvas();
+    window.addEventListener('resize', resizeCanvas);
+    window.addEventListener('orientationchange', resizeCanvas);
 
     // Initialize the grid manager
     game.gridManager = new GridManager(CONFIG.gridRows, CONFIG.gridCols);
     // Feature #13: Grid initialized on first play, not at load time
     game.gridInitialized = false;
 
-    // Add click event listener
-    game.canvas.addEventListener('click', handleCanvasClick);
+    // Seeded RNG: ?seed=123 replays a specific board
+    const seedParam = new URLSearchParams(window.location.search).get('seed');
+    if (seedParam !== null && !isNaN(parseInt(seedParam, 10))) {
+        game.pendingSeed = parseInt(seedParam, 10) >>> 0;
+    }
 
-    // Add mouse move listener for hover effects
-    game.canvas.addEventListener('mousemove', (event) => {
-        const rect = game.canvas.getBoundingClientRect();
-        game.lastMouseX = event.clientX - rect.left;
-        game.lastMouseY = event.clientY - rect.top;
-    });
+    // Pointer Events: taps go to handleCanvasClick, swipes swap gems; moves also drive hover effects
+    game.canvas.addEventListener('pointerdown', handlePointerDown);
+    game.canvas.addEventListener('pointermove', handlePointerMove);
+    game.canvas.addEventListener('pointerup', handlePointerUp);
+    game.canvas.addEventListener('pointercancel', handlePointerUp);
 
     // Log initialization for debugging
     console.log('Three-in-a-Row Game initialized');
@@ -5551,11 +7427,28 @@ function init() {
     console.log('Power-ups enabled - Feature #20 implemented');
     console.log('  - 💣 Bomb gems: Match 4 to create, clears 3x3 area');
     console.log('  - 🎨 Color Clear gems: Match 5+ to create, clears all gems of one color');
+    console.log('  - ➕ Line gems: Match an L, T or cross shape, clears its row and column');
+    console.log('  - ❄️ Freeze / 🛡️ Shield gems: Drop in with new gems, swap for +10s or a free move');
+    console.log('  - 🌟 Swap two specials together for a combo: Mega Bomb, Bomb Storm, Board Wipe and more');
     console.log('\n🎮 Click "PLAY" to start the game! 60 seconds on the clock!');
     console.log('Press ESC or P to pause the game');
+    console.log('Arrows/WASD move the cursor, Enter/Space select and swap');
+    console.log('Press H for a hint, Ctrl+Z / Ctrl+Y to undo and redo');
     
     // Keyboard shortcuts
     document.addEventListener('keydown', (e) => {
+        // Cursor, menu focus and modal keys
+        if (KeyboardManager.handleKey(e)) {
+            e.preventDefault();
+            return;
+        }
+
+        // Feature #50: ESC leaves the level editor
+        if (e.key === 'Escape' && game.gameState === GAME_STATE.EDITOR) {
+            EditorManager.close();
+            return;
+        }
+
         // Feature #17: Pause toggle with ESC or P
         if (e.key === 'Escape' || e.key === 'p' || e.key === 'P') {
             togglePause();
@@ -5567,10 +7460,35 @@ function init() {
             SoundManager.init();
             SoundManager.toggle();
         }
+
+        // Feature #44: Undo with Ctrl+Z, redo with Ctrl+Y / Ctrl+Shift+Z
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'z' || e.key === 'Z' || e.key === 'y' || e.key === 'Y')) {
+            e.preventDefault();
+            if (e.key === 'y' || e.key === 'Y' || e.shiftKey) {
+                UndoManager.redo();
+            } else {
+                UndoManager.undo();
+            }
+            return;
+        }
+
+        // Feature #45: Hint with H
+        if (e.key === 'h' || e.key === 'H') {
+            HintManager.requestHint();
+        }
+    });
+
+    // Gamepads are polled every frame; these just report (dis)connects
+    window.addEventListener('gamepadconnected', (e) => {
+        console.log(`🎮 Gamepad connected: ${e.gamepad.id}`);
+    });
+    window.addEventListener('gamepaddisconnected', (e) => {
+        console.log(`🎮 Gamepad disconnected: ${e.gamepad.id}`);
     });
 
     // Initialize settings modal
     SettingsManager.init();
+    ScreenReaderManager.init();
     
     // Initialize achievements and shop
     AchievementManager.init();
@@ -5590,8 +7508,12 @@ function init() {
     PuzzleManager.init();
     UndoManager.init();
     HintManager.init();
+    LevelManager.init();
+    EditorManager.bindControls();
     ProfileManager.init();
     GameModeManager.init();
+    ReplayManager.init();
+    ReplayManager.bindControls();
     
     // Auto-save every 5 minutes
     setInterval(() => CloudSaveManager.autoSave(), 5 * 60 * 1000);
@@ -5610,4 +7532,3 @@ function init() {
 
 // Initialize the game when the page loads
 window.addEventListener('load', init);
-}
@@ -0,0 +1,230 @@
+/**
+ * Headless checks for engine.js - run with `node --test tests/`
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    MatchEngine,
+    MoveSolver,
+    OUTCOME,
+    ENGINE_EVENTS,
+    MAX_CASCADE_STEPS,
+    POWERUP_TYPES,
+    BLOCKER_TYPES,
+    LEVEL_DEFAULTS,
+    validateLevel,
+    startObjectives
+} = require('../engine.js');
+
+// A validated level, failing the test with the validator's errors if it isn't one
+function makeLevel(definition) {
+    const { level, errors } = validateLevel(Object.assign({ id: 'test' }, definition));
+    assert.deepEqual(errors, []);
+    return level;
+}
+
+function loadEngine(definition, seed = 1) {
+    const level = makeLevel(definition);
+    const engine = new MatchEngine(level.rows, level.cols);
+    engine.loadLevel(level, seed);
+    return engine;
+}
+
+function gridTypes(engine) {
+    return engine.grid.map(row => row.map(gem => gem ? gem.type : null));
+}
+
+// Play `count` moves, each the first legal swap
+function playMoves(engine, count) {
+    const solver = new MoveSolver(engine);
+    for (let i = 0; i < count; i++) {
+        const swap = solver.getLegalSwaps()[0];
+        assert.ok(swap, `no legal swap before move ${i}`);
+        const result = engine.playMove(swap.row1, swap.col1, swap.row2, swap.col2);
+        assert.ok(result.valid);
+    }
+}
+
+// Every cell that can hold a gem holds one, and holes and stones hold none
+function assertBoardFilled(engine) {
+    for (let row = 0; row < engine.rows; row++) {
+        for (let col = 0; col < engine.cols; col++) {
+            const gem = engine.grid[row][col];
+            assert.equal(gem === null, engine.isSolid(row, col), `cell ${row},${col}`);
+            if (gem) assert.deepEqual([gem.row, gem.col], [row, col]);
+        }
+    }
+}
+
+test('the same seed gives the same board and the same game', () => {
+    const play = seed => {
+        const engine = new MatchEngine(8, 8);
+        engine.initialize(seed);
+        const start = gridTypes(engine);
+        let score = 0;
+        const solver = new MoveSolver(engine);
+        for (let i = 0; i < 10; i++) {
+            const swap = solver.getLegalSwaps()[0];
+            score += engine.playMove(swap.row1, swap.col1, swap.row2, swap.col2).scoreGained;
+        }
+        return { start, end: gridTypes(engine), score };
+    };
+
+    assert.deepEqual(play(1234), play(1234));
+    assert.notDeepEqual(play(1234).start, play(4321).start);
+});
+
+test('random boards start without matches and with a move', () => {
+    for (let seed = 0; seed < 20; seed++) {
+        const engine = new MatchEngine(6, 6);
+        engine.initialize(seed);
+        assert.equal(engine.hasMatches(), false);
+        assert.equal(engine.hasValidMoves(), true);
+    }
+});
+
+test('narrow palettes and dead boards never hang the generator', () => {
+    // Two colors can box a cell in; the fill has to give up and retry, not spin
+    const engine = new MatchEngine(8, 8);
+    engine.colorWeights = [{ type: 0, weight: 1 }, { type: 1, weight: 1 }];
+    for (let seed = 0; seed < 10; seed++) {
+        try {
+            engine.initialize(seed);
+            assert.equal(engine.hasMatches(), false);
+        } catch (error) {
+            assert.match(error.message, /No playable/);
+        }
+    }
+
+    // A tiny board reshuffles within its capped tries, keeping every gem
+    const small = loadEngine({ rows: 3, cols: 3, colors: [0, 1, 2], objectives: [] }, 0);
+    const gems = small.grid.flat();
+    const moves = small.reshuffle();
+    assert.equal(moves.length, gems.length);
+    assert.deepEqual(new Set(small.grid.flat()), new Set(gems));
+});
+
+test('validateLevel fills defaults and lists problems', () => {
+    const level = makeLevel({});
+    assert.equal(level.rows, LEVEL_DEFAULTS.rows);
+    assert.deepEqual(level.blockers, []);
+
+    const errorsFor = definition => validateLevel(Object.assign({ id: 'bad' }, definition)).errors;
+    assert.match(errorsFor({ colors: [0, 1] }).join(), /colors must list 3 to 4/);
+    assert.match(errorsFor({ rows: 2 }).join(), /rows must be/);
+    assert.match(errorsFor({ id: '' }).join(), /id is required/);
+    assert.match(errorsFor({ objectives: [{ type: 'nope', target: 1 }] }).join(), /objectives\[0\]\.type/);
+    assert.match(errorsFor({
+        rows: 3, cols: 3, colors: [0, 1, 2], layout: ['000', '121', '212']
+    }).join(), /must not start with a match/);
+    assert.match(errorsFor({
+        rows: 3, cols: 3, mask: ['#.#', '.#.', '#.#']
+    }).join(), /three cells in a line/);
+    assert.match(errorsFor({
+        rows: 3, cols: 3, mask: ['##.', '###', '###'], blockers: [{ row: 0, col: 2, type: BLOCKER_TYPES.ICE }]
+    }).join(), /blockers\[0\] is on a hole/);
+});
+
+test('special refills cannot keep a move going forever', () => {
+    for (const specialSpawnRates of [{ bomb: 1 }, { color: 0.5 }]) {
+        assert.match(validateLevel({ id: 'bad', specialSpawnRates }).errors.join(), /add up to at most/);
+    }
+
+    // Rates set past the validator still end every move at the cascade cap
+    const engine = new MatchEngine(8, 8);
+    engine.initialize(42);
+    engine.specialSpawnRates = { [POWERUP_TYPES.BOMB]: 1 };
+    const solver = new MoveSolver(engine);
+    let cutShort = 0;
+    for (let i = 0; i < 10; i++) {
+        const swap = solver.getLegalSwaps()[0];
+        const result = engine.playMove(swap.row1, swap.col1, swap.row2, swap.col2);
+        const lastStep = Math.max(...result.events.filter(event => event.type === ENGINE_EVENTS.CLEAR).map(event => event.step));
+        assert.ok(lastStep <= MAX_CASCADE_STEPS);
+        assert.equal(engine.hasMatches(), false);
+        if (lastStep === MAX_CASCADE_STEPS && result.reshuffled) cutShort++;
+    }
+    assert.ok(cutShort > 0);
+});
+
+test('the solver ranks a five-match above plain matches', () => {
+    const engine = loadEngine({
+        rows: 5,
+        cols: 5,
+        colors: [0, 1, 2, 3],
+        layout: ['12312', '23031', '00100', '31223', '12313'],
+        objectives: []
+    });
+    const best = new MoveSolver(engine).bestMove();
+    assert.deepEqual([best.row1, best.col1, best.row2, best.col2].sort(), [1, 2, 2, 2].sort());
+
+    engine.playMove(best.row1, best.col1, best.row2, best.col2);
+    assert.ok(engine.grid.flat().some(gem => gem && gem.powerUpType === POWERUP_TYPES.COLOR_CLEAR));
+});
+
+test('gems fall past stones and chained gems stay put', () => {
+    const engine = loadEngine({
+        rows: 6,
+        cols: 6,
+        colors: [0, 1, 2, 3],
+        objectives: [],
+        blockers: [
+            { row: 3, col: 2, type: BLOCKER_TYPES.STONE, strength: 3 },
+            { row: 2, col: 4, type: BLOCKER_TYPES.CHAIN, strength: 3 }
+        ]
+    }, 7);
+    const chained = engine.grid[2][4];
+
+    for (let i = 0; i < 15; i++) {
+        playMoves(engine, 1);
+        assertBoardFilled(engine);
+        if (engine.getLayers(2, 4).chain > 0) assert.equal(engine.grid[2][4], chained);
+    }
+});
+
+test('masked boards keep their holes empty and refill past them', () => {
+    const engine = loadEngine({
+        rows: 7,
+        cols: 5,
+        colors: [0, 1, 2],
+        mask: ['#####', '#####', '#####', '.....', '#####', '.###.', '#####'],
+        objectives: []
+    }, 3);
+    for (let i = 0; i < 20; i++) {
+        playMoves(engine, 1);
+        assertBoardFilled(engine);
+    }
+    assert.equal(engine.getSpawnRow(0), 0);
+
+    // Three of a color split by a hole is not a match
+    const split = loadEngine({
+        rows: 4,
+        cols: 4,
+        colors: [0, 1, 2],
+        mask: ['####', '####', '.###', '####'],
+        layout: ['0121', '0212', '.120', '0201'],
+        objectives: []
+    });
+    assert.equal(split.hasMatches(), false);
+});
+
+test('objectives decide the outcome once all of them are met', () => {
+    const engine = loadEngine({ rows: 6, cols: 6, colors: [0, 1, 2], objectives: [] }, 5);
+    const objectives = [{ type: 'score', target: 30 }, { type: 'collect', color: 0, target: 1000 }];
+    const state = { score: 0, moves: 20, timer: 60, objectives: objectives };
+    state.objectiveProgress = startObjectives(objectives, state);
+
+    const swap = new MoveSolver(engine).getLegalSwaps()[0];
+    MatchEngine.applyResult(state, engine.playMove(swap.row1, swap.col1, swap.row2, swap.col2));
+    assert.ok(state.objectiveProgress[0] >= 30);
+    assert.equal(MatchEngine.evaluateOutcome(state), null);
+
+    state.objectiveProgress[1] = 1000;
+    assert.equal(MatchEngine.evaluateOutcome(state), OUTCOME.WON);
+
+    // No objectives: play on until the moves run out
+    const endless = { score: 5000, moves: 1, timer: 60, objectives: [], objectiveProgress: [] };
+    assert.equal(MatchEngine.evaluateOutcome(endless), null);
+    endless.moves = 0;
+    assert.equal(MatchEngine.evaluateOutcome(endless), OUTCOME.LOST);
+});
@@ -0,0 +1,177 @@
+/**
+ * Gamepad controls against a mocked navigator.getGamepads() -
+ * run with `node --test tests/`
+ * game.js is a browser script, so it runs in a VM context with just enough
+ * DOM stubbed for it to load and start a game
+ */
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const engine = require('../engine.js');
+
+const GAME_SOURCE = fs.readFileSync(path.join(__dirname, '..', 'game.js'), 'utf8');
+const noop = () => {};
+
+// Any property an element or the 2D context is asked for is a no-op function
+function stub(fields = {}) {
+    return new Proxy(fields, {
+        get: (target, key) => {
+            if (key in target) return target[key];
+            if (key === 'classList') return { toggle: noop, add: noop, remove: noop, contains: () => false };
+            if (key === 'querySelectorAll') return () => [];
+            if (key === 'querySelector' || key === 'contains') return () => null;
+            if (key === 'measureText') return text => ({ width: String(text).length * 6 });
+            if (key.startsWith('create') && key.endsWith('Gradient')) return () => ({ addColorStop: noop });
+            return noop;
+        },
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+}
+
+// A started game whose only gamepad is `pad`
+function loadGame(pad) {
+    const elements = {};
+    const element = id => elements[id] || (elements[id] = stub({
+        id: id, value: '', style: {}, textContent: '', innerHTML: '',
+        clientWidth: 800, clientHeight: 600, clientLeft: 0, clientTop: 0,
+        getContext: () => stub(),
+        getBoundingClientRect: () => ({ left: 0, top: 0, width: 800, height: 600 })
+    }));
+    const storage = {};
+    const listeners = {};
+    const context = Object.assign({
+        console: { log: noop, warn: noop },
+        performance: performance,
+        URLSearchParams: URLSearchParams,
+        CanvasRenderingContext2D: function() {},
+        navigator: { getGamepads: () => [pad] },
+        localStorage: {
+            getItem: key => key in storage ? storage[key] : null,
+            setItem: (key, value) => { storage[key] = String(value); },
+            removeItem: key => { delete storage[key]; }
+        },
+        window: {
+            addEventListener: (type, listener) => { listeners[type] = listener; },
+            location: { search: '' },
+            devicePixelRatio: 1,
+            innerWidth: 800,
+            innerHeight: 600
+        },
+        document: {
+            getElementById: element,
+            createElement: () => element(),
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener: noop,
+            body: element('body'),
+            head: element('head'),
+            activeElement: null
+        },
+        requestAnimationFrame: noop,
+        setTimeout: () => 0,
+        clearTimeout: noop,
+        setInterval: () => 0,
+        clearInterval: noop
+    }, engine);
+
+    vm.createContext(context);
+    vm.runInContext(GAME_SOURCE, context);
+    listeners.load();
+    vm.runInContext('startGame(); KeyboardManager.cursorVisible = true;', context);
+    return code => vm.runInContext(code, context);
+}
+
+// A standard-mapping pad with every button up and the sticks centered
+function createPad() {
+    return {
+        connected: true,
+        axes: [0, 0, 0, 0],
+        buttons: Array.from({ length: 17 }, () => ({ pressed: false }))
+    };
+}
+
+test('the d-pad moves the cursor once, then repeats while held', () => {
+    const pad = createPad();
+    const run = loadGame(pad);
+    const { repeatDelay, repeatRate } = run('GAMEPAD_CONFIG');
+    const down = run('GAMEPAD_BUTTONS.DOWN');
+
+    pad.buttons[down].pressed = true;
+    run('GamepadManager.poll(0)');
+    assert.equal(run('KeyboardManager.cursor.row'), 1);
+
+    run(`GamepadManager.poll(${repeatDelay - 1})`);
+    assert.equal(run('KeyboardManager.cursor.row'), 1);
+
+    run(`GamepadManager.poll(${repeatDelay})`);
+    run(`GamepadManager.poll(${repeatDelay + repeatRate})`);
+    assert.equal(run('KeyboardManager.cursor.row'), 3);
+
+    pad.buttons[down].pressed = false;
+    run(`GamepadManager.poll(${repeatDelay + repeatRate * 2})`);
+    assert.equal(run('KeyboardManager.cursor.row'), 3);
+});
+
+test('the left stick moves past the dead zone only', () => {
+    const pad = createPad();
+    const run = loadGame(pad);
+    const deadZone = run('GAMEPAD_CONFIG.deadZone');
+
+    pad.axes[0] = deadZone / 2;
+    run('GamepadManager.poll(0)');
+    assert.equal(run('KeyboardManager.cursor.col'), 0);
+
+    pad.axes[0] = 1;
+    run('GamepadManager.poll(10)');
+    assert.equal(run('KeyboardManager.cursor.col'), 1);
+});
+
+test('A selects the gem under the cursor and B lets go of it', () => {
+    const pad = createPad();
+    const run = loadGame(pad);
+    const { A, B } = run('GAMEPAD_BUTTONS');
+
+    pad.buttons[A].pressed = true;
+    run('GamepadManager.poll(0)');
+    assert.equal(run('game.selectedGem === game.gridManager.getGem(0, 0)'), true);
+
+    // Held buttons fire once per press
+    run('GamepadManager.poll(10)');
+    assert.equal(run('game.selectedGem === game.gridManager.getGem(0, 0)'), true);
+
+    pad.buttons[A].pressed = false;
+    pad.buttons[B].pressed = true;
+    run('GamepadManager.poll(20)');
+    assert.equal(run('game.selectedGem'), null);
+});
+
+test('Start pauses and resumes', () => {
+    const pad = createPad();
+    const run = loadGame(pad);
+    const start = run('GAMEPAD_BUTTONS.START');
+
+    pad.buttons[start].pressed = true;
+    run('GamepadManager.poll(0)');
+    assert.equal(run('game.isPaused'), true);
+
+    pad.buttons[start].pressed = false;
+    run('GamepadManager.poll(10)');
+    pad.buttons[start].pressed = true;
+    run('GamepadManager.poll(20)');
+    assert.equal(run('game.isPaused'), false);
+});
+
+test('a disconnected pad is ignored', () => {
+    const pad = createPad();
+    pad.connected = false;
+    const run = loadGame(pad);
+
+    pad.buttons[run('GAMEPAD_BUTTONS.DOWN')].pressed = true;
+    run('GamepadManager.poll(0)');
+    assert.equal(run('KeyboardManager.cursor.row'), 0);
+});